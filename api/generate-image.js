@@ -1,8 +1,10 @@
 // api/generate-image.js
 // Be Cre8v AI Playground — Image Generation (Planner-enhanced, kid-safe)
 
-const OPENAI_CHAT_URL  = "https://api.openai.com/v1/chat/completions";
-const OPENAI_IMAGE_URL = "https://api.openai.com/v1/images/generations";
+import llm from "../lib/llm/index.js";
+import { resolveLocale } from "../lib/i18n.js";
+import { screenText } from "../lib/moderation.js";
+import { limitRequest, tooManyRequests } from "../lib/rate-limit.js";
 
 /* -------------------- CORS -------------------- */
 function origins() {
@@ -55,30 +57,16 @@ Rules:
 `;
 
 /* -------------------- PLANNER CALL -------------------- */
-async function planImagePrompt(userPrompt, apiKey) {
-  const r = await fetch(OPENAI_CHAT_URL, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      temperature: 0.4,
-      messages: [
-        { role: "system", content: PLANNER_SYSTEM_PROMPT },
-        { role: "user", content: userPrompt }
-      ]
-    })
+async function planImagePrompt(userPrompt) {
+  const { text } = await llm.chat({
+    chain: "image-planner",
+    system: PLANNER_SYSTEM_PROMPT,
+    messages: [
+      { role: "user", content: userPrompt }
+    ],
+    temperature: 0.4
   });
-
-  if (!r.ok) {
-    const t = await r.text();
-    throw new Error("Planner error: " + t.slice(0, 300));
-  }
-
-  const data = await r.json();
-  return data.choices[0].message.content.trim();
+  return text;
 }
 
 /* -------------------- HANDLER -------------------- */
@@ -104,47 +92,60 @@ export default async function handler(req, res) {
       return res.status(400).json({ message: "Prompt is required" });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ message: "Missing OPENAI_API_KEY" });
+    const keyError = llm.missingProviderKey("image-generate");
+    if (keyError) {
+      return res.status(500).json({ message: keyError });
+    }
+
+    const { locale } = resolveLocale({ override: req.body.locale, text: prompt });
+
+    /* ---- PER-CLIENT BUDGET (lib/rate-limit) ---- */
+    const limited = await limitRequest(req, { capability: "image", sessionId: req.body.sessionId });
+    if (limited) {
+      return tooManyRequests(res, limited, { locale, field: "message" });
+    }
+
+    /* ---- STEP 0: KID-SAFETY CHECK (lib/moderation) ---- */
+    const screened = screenText(String(prompt).trim(), {
+      route: "generate-image",
+      stage: "input",
+      locale
+    });
+    if (screened.blocked) {
+      return res.status(422).json({ message: screened.text, blocked: true, category: screened.category });
     }
 
-    const isWorksheet = looksLikeWorksheet(prompt);
+    const isWorksheet = looksLikeWorksheet(screened.text);
 
     /* ---- STEP 1: PLAN PROMPT ---- */
-    const plannedPrompt = await planImagePrompt(prompt, apiKey);
+    // The planner is a model too — its prompt is checked before it is drawn
+    const planned = screenText(await planImagePrompt(screened.text), {
+      route: "generate-image",
+      stage: "output",
+      locale
+    });
+    if (planned.blocked) {
+      return res.status(422).json({ message: planned.text, blocked: true, category: planned.category });
+    }
+    const plannedPrompt = planned.text;
 
     /* ---- STEP 2: IMAGE GENERATION ---- */
-    const r = await fetch(OPENAI_IMAGE_URL, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-image-1",
+    let result;
+    try {
+      result = await llm.generateImage({
+        chain: "image-generate",
         prompt: plannedPrompt,
-        size: isWorksheet ? "1024x1536" : "1024x1024",
-        n: 1
-      })
-    });
-
-    if (!r.ok) {
-      const err = await r.text();
-      return res.status(r.status).json({
+        size: isWorksheet ? "1024x1536" : "1024x1024"
+      });
+    } catch (err) {
+      return res.status(err.status || 500).json({
         message: "Image API error",
-        details: err.slice(0, 1000)
+        details: String(err?.message || err).slice(0, 1000)
       });
     }
 
-    const data = await r.json();
-    const b64 = data?.data?.[0]?.b64_json;
-    if (!b64) {
-      return res.status(500).json({ message: "No image returned" });
-    }
-
-    const mime = "image/webp";
-    const image = `data:${mime};base64,${b64}`;
+    const mime = result.mimeType;
+    const image = `data:${mime};base64,${result.imageBase64}`;
 
     return res.status(200).json({ mime, image });
 
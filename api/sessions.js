@@ -0,0 +1,96 @@
+// =============================================================================
+// Be Cre8v AI Backend — Conversation sessions
+//   POST   /api/sessions            { product? }  → 201 { session }
+//   GET    /api/sessions?id=<id>                  → { session }
+//   GET    /api/sessions[?limit=N]                → { sessions: [summary] }
+//   DELETE /api/sessions?id=<id>                  → 204
+//
+// Session ids are random UUIDs, so knowing one is enough to read or delete it.
+// Listing every session is an operator action: it requires SESSIONS_ADMIN_TOKEN
+// to be set and sent as "Authorization: Bearer <token>". Without the env var
+// listing is disabled.
+//
+// The default stores are per instance (see lib/sessions): without a shared
+// store, api/chat may not find a session created here and starts a fresh one
+// under the same id.
+// =============================================================================
+const { getSessionStore, newSession, isValidSessionId } = require("../lib/sessions");
+
+const PRODUCTS = ["robocoders", "spingenius"];
+
+// =============================================================================
+// CORS helpers
+// =============================================================================
+function origins() {
+  return (process.env.ALLOWED_ORIGIN || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function allow(res, origin) {
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (!origin) return false;
+  const list = origins();
+  if (!list.length || list.some((a) => origin.startsWith(a))) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    return true;
+  }
+  return false;
+}
+
+function isAdmin(req) {
+  const token = process.env.SESSIONS_ADMIN_TOKEN;
+  if (!token) return false;
+  return (req.headers.authorization || "") === `Bearer ${token}`;
+}
+
+// =============================================================================
+// Handler
+// =============================================================================
+module.exports = async function handler(req, res) {
+  const origin = req.headers.origin || "";
+
+  if (req.method === "OPTIONS") { allow(res, origin); return res.status(204).end(); }
+  if (!allow(res, origin)) return res.status(403).json({ error: "Forbidden origin", origin, allowed: origins() });
+
+  try {
+    const store = getSessionStore();
+    const id    = typeof req.query?.id === "string" ? req.query.id.trim() : "";
+    if (id && !isValidSessionId(id)) return res.status(400).json({ error: "Invalid session id." });
+
+    if (req.method === "POST") {
+      const body    = req.body || {};
+      const product = (typeof body.product === "string" ? body.product : "robocoders").toLowerCase().trim();
+      if (!PRODUCTS.includes(product)) {
+        return res.status(400).json({ error: `Unknown product: "${product}". Use "robocoders" or "spingenius".` });
+      }
+      const session = await store.save(newSession({ product }));
+      return res.status(201).json({ session });
+    }
+
+    if (req.method === "GET" && id) {
+      const session = await store.get(id);
+      if (!session) return res.status(404).json({ error: "Session not found.", sessionId: id });
+      return res.status(200).json({ session });
+    }
+
+    if (req.method === "GET") {
+      if (!process.env.SESSIONS_ADMIN_TOKEN) return res.status(403).json({ error: "Listing sessions is disabled. Set SESSIONS_ADMIN_TOKEN to enable it." });
+      if (!isAdmin(req)) return res.status(401).json({ error: "Listing sessions requires the admin token." });
+      const limit = Math.min(Math.max(Number(req.query?.limit) || 50, 1), 500);
+      return res.status(200).json({ sessions: await store.list({ limit }), store: store.kind });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ error: "Missing ?id= for DELETE." });
+      const removed = await store.delete(id);
+      if (!removed) return res.status(404).json({ error: "Session not found.", sessionId: id });
+      return res.status(204).end();
+    }
+
+    return res.status(405).json({ error: "Method not allowed. Use GET, POST or DELETE." });
+  } catch (err) {
+    console.error("Sessions handler error:", err);
+    return res.status(500).json({ error: "Internal server error", message: String(err?.message || err).slice(0, 500) });
+  }
+};
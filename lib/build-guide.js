@@ -0,0 +1,98 @@
+// =============================================================================
+// Guided build mode — one step of a project per turn
+//
+// "start building Coin Counter" (intent BUILD_START) opens a walkthrough over
+// indexes.buildGuides[project] (lib/knowledge extractBuildGuide): parts,
+// connections, then each build step with its lesson video. While a build is
+// active, short replies move through it:
+//   next · back · repeat · I'm stuck · stop   (plus Hindi/Hinglish forms)
+// "stuck" does not move — the caller answers it with the step as context.
+//
+// State is { project, step } (0-based): session.context.build with a session,
+// otherwise read back from the step header of the last assistant turn.
+// =============================================================================
+const { t } = require("./i18n");
+
+const COMMANDS = {
+  next:   /^(?:ok(?:ay)?\s+)?(?:next(?:\s+step)?|done|i(?:'m|\s+am)?\s+done|go on|continue|aage|agla(?:\s+step)?|ho\s*gaya|आगे|अगला|हो\s*गया)(?:\s+(?:please|pls|karo|chalo))?$/,
+  back:   /^(?:go\s+)?(?:back|previous(?:\s+step)?|prev|last step|peeche|pichla(?:\s+step)?|पीछे|पिछला)(?:\s+(?:please|pls|jao|chalo))?$/,
+  repeat: /^(?:repeat(?:\s+(?:this|that|the)?\s*step)?|again|say (?:it|that) again|phir se|fir se|dobara|फिर\s*से|दोबारा)(?:\s+(?:please|pls|batao|dikhao))?$/,
+  stuck:  /\b(?:stuck|not working|does(?:n'?t| not) work|can'?t do (?:it|this)|atak\s+(?:gaya|gayi|gaye)|samajh\s+nahi\s+aaya)\b|अटक|समझ\s*नहीं\s*आया/,
+  stop:   /^(?:stop|exit|quit|end|cancel)(?:\s+(?:building|build|the build|this))?$|^(?:band karo|ruko|बंद\s*करो|रुको)$/,
+};
+
+/**
+ * Which build command a message is, or null. Only short replies count, so
+ * "next" inside a real question does not skip a step; "stuck" can be a sentence.
+ */
+function detectBuildCommand(text) {
+  const s = String(text || "").toLowerCase().replace(/[^\p{L}\p{M}\p{N}'\s]+/gu, " ").replace(/\s+/g, " ").trim();
+  if (!s) return null;
+  for (const command of ["next", "back", "repeat", "stop"]) {
+    if (COMMANDS[command].test(s)) return command;
+  }
+  return s.split(" ").length <= 12 && COMMANDS.stuck.test(s) ? "stuck" : null;
+}
+
+/**
+ * Apply a command to { project, step }. Returns { state, finished }:
+ * finished when "next" runs past the last step; state is null after stop/finish.
+ */
+function moveBuild(state, command, total) {
+  if (command === "stop") return { state: null, finished: false };
+  if (command === "next") {
+    return state.step + 1 >= total ? { state: null, finished: true } : { state: { ...state, step: state.step + 1 }, finished: false };
+  }
+  if (command === "back") return { state: { ...state, step: Math.max(0, state.step - 1) }, finished: false };
+  return { state, finished: false };
+}
+
+/**
+ * Reply for one step of guide: header, instructions, lesson links, controls.
+ */
+function formatBuildStep(guide, { project, step }, locale) {
+  const current = guide[step];
+  const lines   = [t(locale, "buildStepHeader", { project, step: step + 1, total: guide.length }), ""];
+  if (current.kind === "parts")       lines.push(t(locale, "buildParts"));
+  if (current.kind === "connections") lines.push(t(locale, "buildConnections"));
+  lines.push(current.text);
+  if (current.lessons.length) {
+    lines.push("", t(locale, "buildWatch"));
+    for (const l of current.lessons) lines.push(`- ${l.lessonName}: ${l.videoLinks.join(" ")}`);
+  }
+  lines.push("", t(locale, "buildControls"));
+  return lines.join("\n");
+}
+
+// Quick replies for a step, rendered as buttons like clarification options.
+function buildOptions(locale) {
+  return [["next", "buildNext"], ["back", "buildBack"], ["repeat", "buildRepeat"], ["I'm stuck", "buildStuck"]]
+    .map(([value, key]) => ({ kind: "build", id: value === "I'm stuck" ? "stuck" : value, label: t(locale, key), value }));
+}
+
+/**
+ * Reply payload for one step: { text, options, build }. build is the step as
+ * data ({ project, step, total, kind, lessons }) for apps that draw their own UI.
+ */
+function buildStepReply(guide, state, locale) {
+  const current = guide[state.step];
+  return {
+    text:    formatBuildStep(guide, state, locale),
+    options: buildOptions(locale),
+    build:   { project: state.project, step: state.step + 1, total: guide.length, kind: current.kind, lessons: current.lessons },
+  };
+}
+
+/**
+ * Build state from a stateless history: the last assistant turn's step header
+ * ("🛠️ Coin Counter — Step 3/6"). null when the last reply was not a step.
+ */
+function buildStateFromHistory(history, projectNames) {
+  const last = (history || [])[history.length - 1];
+  if (last?.role !== "assistant") return null;
+  const m = String(last.content || "").match(/^🛠️ (.+?) — \S+ (\d+)\/(\d+)$/m);
+  if (!m || !projectNames.includes(m[1])) return null;
+  return { project: m[1], step: Number(m[2]) - 1 };
+}
+
+module.exports = { detectBuildCommand, moveBuild, formatBuildStep, buildStepReply, buildStateFromHistory };
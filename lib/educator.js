@@ -0,0 +1,211 @@
+// =============================================================================
+// Educator / parent persona — adult answers and classroom lesson plans
+//
+// A chat request with persona "educator" or "parent" (default "kid") swaps the
+// kid prompt for educatorSystemPrompt(): no emoji, the electronics and coding
+// concepts behind the project, learning outcomes and time estimates. For
+// educators it leans towards running a class; for parents, towards helping at
+// home without taking over.
+//
+// "lesson plan for Mood Lamp" (intent LESSON_PLAN) is answered from the KB,
+// not the model: indexes.lessonPlans[project] (built by lib/knowledge with
+// buildLessonPlan) is
+//   { project, summary, durationMinutes, learningOutcomes, concepts,
+//     materials, connections, phases: [{ phase, minutes, lessons }], assessment }
+// and formatLessonPlan() renders it. Concepts come from the parts the project
+// uses (CONCEPTS below); kb.projects[] may set description, learningOutcomes,
+// concepts ([{ name, explanation }]) and durationMinutes to override them.
+// =============================================================================
+const { t, languageInstruction } = require("./i18n");
+
+const PERSONAS = ["kid", "educator", "parent"];
+
+// What each part teaches: matched against part names, first match per part.
+const CONCEPTS = [
+  { match: /\bldr\b|light[- ]dependent|light sensor/i, name: "Light sensing (analog input)",
+    explanation: "An LDR's resistance falls as more light reaches it. The Brain reads the change as an analog value, so a program can react to how bright it is.",
+    outcome: "Explain how a light sensor turns brightness into a number a program can use.",
+    check: "What happens to the reading when you cover the LDR with your hand, and why?" },
+  { match: /\brgb\b/i, name: "Colour mixing (RGB LED)",
+    explanation: "An RGB LED holds a red, a green and a blue LED. Setting the brightness of each one mixes them into other colours.",
+    outcome: "Mix red, green and blue light to make new colours from code.",
+    check: "Which two colours would you turn on to make yellow?" },
+  { match: /\bled\b|\blamp\b|\blight\b/i, name: "Digital output (LED)",
+    explanation: "An LED lights when current flows through it the right way. The Brain switches the port on and off to control it.",
+    outcome: "Switch an output on and off from a program.",
+    check: "What does the program do to make the LED turn off?" },
+  { match: /\bservo\b/i, name: "Position control (servo motor)",
+    explanation: "A servo turns to the angle the program asks for and holds it there, which makes it good for flaps, arms and pointers.",
+    outcome: "Control how far a motor turns by setting an angle.",
+    check: "How would you change the code to open the flap only halfway?" },
+  { match: /\bmotor\b|\bfan\b/i, name: "Motion (DC motor)",
+    explanation: "A DC motor turns electrical energy into spinning motion; more power makes it spin faster.",
+    outcome: "Describe how a motor changes electrical energy into movement.",
+    check: "What changes when the motor gets less power?" },
+  { match: /\bbuzzer\b|\bspeaker\b/i, name: "Sound (buzzer)",
+    explanation: "A buzzer vibrates to make sound. Changing how fast it vibrates (the frequency) changes the pitch.",
+    outcome: "Link frequency to the pitch of a sound.",
+    check: "How do you make the buzzer play a higher note?" },
+  { match: /\bir\b|infra ?red|motion/i, name: "Infrared sensing",
+    explanation: "An IR sensor sends out invisible infrared light and notices when it bounces back, so it can tell when something is close.",
+    outcome: "Explain how a sensor can detect an object without touching it.",
+    check: "Why might the sensor miss a very dark object?" },
+  { match: /\bbutton\b|\bswitch\b|\bjoystick\b|\bpotentiometer\b|\bknob\b/i, name: "User input",
+    explanation: "Buttons and switches give the Brain a digital on/off signal; knobs and joysticks give an analog value that changes smoothly.",
+    outcome: "Tell digital (on/off) inputs apart from analog (range) inputs.",
+    check: "Is a button a digital or an analog input? How do you know?" },
+];
+
+const CODING_CONCEPT = {
+  name:        "Programming logic (Visual Block Coding)",
+  explanation: "The program reads inputs, makes decisions with if/else blocks and repeats them in a loop, then sets the outputs.",
+  outcome:     "Follow and change an input → decision → output program.",
+  check:       "Which block decides what happens, and what would you change to make it react differently?",
+};
+
+// Minutes per phase, and per lesson video inside a phase.
+const PHASE_MINUTES  = { intro: 10, connections: 10, build: 15, coding: 15, test: 10, reflect: 10 };
+const LESSON_MINUTES = 8;
+const PHASES         = ["intro", "connections", "build", "coding", "test", "reflect"];
+
+/**
+ * "kid" | "educator" | "parent" from body.persona (default "kid"). Throws with
+ * a client-facing message on anything else.
+ */
+function resolvePersona(value) {
+  if (value == null || value === "") return "kid";
+  const persona = String(value).toLowerCase().trim();
+  if (!PERSONAS.includes(persona)) throw new Error(`Unknown persona "${value}". Use "kid", "educator" or "parent".`);
+  return persona;
+}
+
+const isAdultPersona = (persona) => persona === "educator" || persona === "parent";
+
+// Lesson name → plan phase, by the same words lib/knowledge lessonRank uses.
+function phaseOfLesson(lessonName) {
+  const n = String(lessonName || "").toLowerCase();
+  if (n.includes("intro"))      return "intro";
+  if (n.includes("connection")) return "connections";
+  if (n.includes("coding"))     return "coding";
+  if (n.includes("working"))    return "test";
+  return "build";
+}
+
+function descriptionOf(block) {
+  const lines = String(block || "").split("\n").map((l) => l.trim());
+  return lines.find((l) => l && !/^project name\s*:/i.test(l) && !/:$/.test(l) && !/^[-•\d]/.test(l)) || "";
+}
+
+/**
+ * Lesson plan for one project. block — its KB text; lessons — lessonsByProject
+ * entries; guide — its build guide (lib/knowledge extractBuildGuide); rows —
+ * its port mappings; entry — its kb.projects entry, if any.
+ */
+function buildLessonPlan(project, { block = "", lessons = [], guide = [], rows = [], entry = null } = {}) {
+  const partsStep = guide.find((s) => s.kind === "parts");
+  const materials = partsStep ? partsStep.text.split("\n").map((l) => l.replace(/^-\s*/, "").trim()).filter(Boolean) : rows.map((r) => r.label);
+  const buildSteps = guide.filter((s) => s.kind === "build").length;
+
+  const concepts = [];
+  for (const part of [...materials, ...rows.map((r) => r.label)]) {
+    const c = CONCEPTS.find((x) => x.match.test(part));
+    if (c && !concepts.includes(c)) concepts.push(c);
+  }
+  const codes = lessons.some((l) => phaseOfLesson(l.lessonName) === "coding") || guide.some((s) => /\b(?:code|coding|program|upload|blocks?)\b/i.test(s.text));
+  if (codes) concepts.push(CODING_CONCEPT);
+
+  const phases = PHASES.map((phase) => {
+    const inPhase = lessons.filter((l) => phaseOfLesson(l.lessonName) === phase).map(({ lessonName, videoLinks }) => ({ lessonName, videoLinks }));
+    let minutes   = Math.max(PHASE_MINUTES[phase], inPhase.length * LESSON_MINUTES);
+    if (phase === "build") minutes = Math.max(minutes, buildSteps * 5);
+    return { phase, minutes, lessons: inPhase };
+  }).filter((p) => p.phase !== "coding" || codes);
+
+  // A KB duration wins; the phases are scaled to fit it
+  const planned  = phases.reduce((n, p) => n + p.minutes, 0);
+  const duration = Number(entry?.durationMinutes) || planned;
+  if (duration !== planned) for (const p of phases) p.minutes = Math.max(5, Math.round((p.minutes * duration) / planned / 5) * 5);
+  return {
+    project,
+    summary:          entry?.description || descriptionOf(block),
+    durationMinutes:  duration,
+    learningOutcomes: Array.isArray(entry?.learningOutcomes) && entry.learningOutcomes.length
+      ? entry.learningOutcomes
+      : [...concepts.map((c) => c.outcome), `Build and wire the ${project} using the fixed port mapping.`],
+    concepts:         Array.isArray(entry?.concepts) && entry.concepts.length
+      ? entry.concepts.map((c) => ({ name: c.name, explanation: c.explanation || "" }))
+      : concepts.map(({ name, explanation }) => ({ name, explanation })),
+    materials,
+    connections:      rows.length ? rows.map((r) => `${r.label} → Port ${r.port}`) : (guide.find((s) => s.kind === "connections")?.text.split("\n").map((l) => l.replace(/^-\s*/, "").trim()).filter(Boolean) || []),
+    phases,
+    assessment:       concepts.map((c) => c.check).filter(Boolean),
+  };
+}
+
+/**
+ * Text for a lesson plan, headings in the reply language (the KB content
+ * itself stays English).
+ */
+function formatLessonPlan(plan, locale = "en") {
+  const lines = [t(locale, "lessonPlanTitle", { project: plan.project })];
+  if (plan.summary) lines.push(plan.summary);
+  lines.push("", t(locale, "lessonPlanDuration", { minutes: plan.durationMinutes }));
+
+  const section = (key, items) => {
+    if (items.length) lines.push("", t(locale, key), ...items.map((x) => `- ${x}`));
+  };
+  section("lessonPlanOutcomes", plan.learningOutcomes);
+  section("lessonPlanConcepts", plan.concepts.map((c) => (c.explanation ? `${c.name}: ${c.explanation}` : c.name)));
+  section("lessonPlanMaterials", plan.materials);
+  section("lessonPlanWiring", plan.connections);
+
+  lines.push("", t(locale, "lessonPlanSequence"));
+  plan.phases.forEach((p, i) => {
+    lines.push(`${i + 1}. ${t(locale, `lessonPhase${p.phase[0].toUpperCase()}${p.phase.slice(1)}`)} (${p.minutes} min)`);
+    for (const l of p.lessons) lines.push(`   ${t(locale, "lessonPlanVideo")} ${l.lessonName}: ${l.videoLinks.join(" ")}`);
+  });
+  section("lessonPlanAssessment", plan.assessment);
+  return lines.join("\n");
+}
+
+/**
+ * The adult system prompt. plan — the detected project's lesson plan, if any,
+ * so the model explains the same concepts and timing the plan lists.
+ * projectCount — describeProjectCatalogue() for the current catalogue.
+ */
+function educatorSystemPrompt(groundedContext, { persona, projectCount, locale = "en", plan = null }) {
+  const audience = persona === "parent"
+    ? `- You are talking to a parent helping their child (8-14) at home
+- Suggest how to support without taking over: questions to ask, when to step in, what to praise
+- Point out safety and supervision notes plainly`
+    : `- You are talking to a teacher running Robocoders with a class of children aged 8-14
+- Suggest classroom organisation (pairs or small groups, roles), differentiation for faster and slower groups, and assessment questions
+- When asked for a lesson plan, structure it as: outcomes, concepts, materials, wiring, timed sequence with the lesson videos, assessment`;
+  const notes = plan
+    ? `\nCONCEPTS BEHIND ${plan.project.toUpperCase()} (use these):\n${plan.concepts.map((c) => `- ${c.name}: ${c.explanation}`).join("\n")}\nEstimated time: about ${plan.durationMinutes} minutes.\n`
+    : "";
+  return `You are Be Cre8v AI, assisting an adult who supervises children using the Robocoders Kit.
+
+Your role:
+${audience}
+- Explain the electronics and coding concepts behind each project precisely: what each component does physically, analog vs digital signals, and how the program turns inputs into outputs
+- Give learning outcomes and realistic time estimates (setup, build, coding, testing)
+
+Style:
+- Write for an adult: clear, concise and professional
+- No emoji, no exclamation-heavy tone, no talking down
+- Use headings and short bullet lists when they help scanning
+
+Facts:
+- SAFETY: It is SAFE to plug/unplug sensors while the Robocoders Brain is on (low voltage 5V USB)
+- PROJECT COUNT: ${projectCount}
+${notes}
+KNOWLEDGE BASE:
+${groundedContext}
+
+Base your answers on the knowledge base provided. If information is not in the knowledge base, say so honestly.
+
+${languageInstruction(locale)}`;
+}
+
+module.exports = { PERSONAS, resolvePersona, isAdultPersona, buildLessonPlan, formatLessonPlan, educatorSystemPrompt };
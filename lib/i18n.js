@@ -0,0 +1,531 @@
+// =============================================================================
+// Languages — English, Hindi (Devanagari) and Hinglish (Hindi in Roman letters)
+//
+// Kids write "mood lamp ka video dikhao" or "मूड लैंप कैसे बनाएं" as often as
+// plain English. Per message we:
+//   1. detect the language (detectLanguage) unless the request sets `locale`,
+//   2. match Hindi/Hinglish keyword sets for each intent (INTENT_KEYWORDS),
+//   3. reply from the localized string table (t) or tell the LLM which
+//      language to answer in (languageInstruction).
+// Product/component names, ports and board codes stay in English everywhere —
+// they are printed on the kit.
+// =============================================================================
+
+const LOCALES = ["en", "hi", "hinglish"];
+
+// Romanized Hindi words that are not also common English words ("me", "to",
+// "he", "is", "par", "mat", "ya", "hum" and "banana" are deliberately absent —
+// "use a mat", "banana piano"). Each word counts once per message.
+const HINGLISH_MARKERS = new Set([
+  "kya", "kyu", "kyun", "kaise", "kaisa", "kaisi", "kab", "kahan", "kaha", "kaun", "kon", "konsa", "kaunsa", "kitne", "kitna",
+  "hai", "hain", "hota", "hoti", "hote", "tha", "thi", "raha", "rahi", "rahe", "gaya", "gayi", "gaye", "hoga", "hogi",
+  "nahi", "nahin", "nhi", "bhi", "aur", "lekin", "toh", "phir", "abhi", "sab", "saare", "sare",
+  "mera", "meri", "mere", "mujhe", "mujhko", "humko", "tum", "aap", "apna", "yeh", "ye", "woh", "wo", "iska", "uska",
+  "ka", "ki", "ke", "ko", "se", "mein", "mai", "wala", "wali", "wale",
+  "karo", "karna", "karu", "karun", "kar", "karke", "dikhao", "dikha", "batao", "bata", "bolo", "samjhao", "bhejo", "chahiye",
+  "banaye", "banaun", "banau", "lagao", "lagana", "jodo", "jodna", "chalao", "chalta", "chal",
+  "accha", "acha", "theek", "thik", "bhai", "yaar", "kuch", "koi", "bahut", "bohot", "zyada", "kam", "wahi", "sahi", "galat",
+  "mila", "mili", "gayab", "kharab", "toota", "tuta", "jala",
+]);
+
+// Words that make a Latin-script message clearly English.
+const ENGLISH_MARKERS = new Set([
+  "what", "how", "why", "when", "where", "which", "who", "is", "are", "the", "does", "do", "can", "could", "would", "should",
+  "show", "tell", "give", "make", "build", "please", "my", "your", "it", "this", "that", "not", "doesn't", "isn't", "and", "with",
+]);
+
+const DEVANAGARI = /[ऀ-ॿ]/g;
+const LATIN      = /[A-Za-z]/g;
+
+/**
+ * "hi" | "hinglish" | "en" for a message, or null when it gives no signal
+ * ("mood lamp", "ok", "12-J") — callers keep the conversation's last locale.
+ */
+function detectLanguage(text) {
+  const s = String(text || "");
+  const deva  = (s.match(DEVANAGARI) || []).length;
+  const latin = (s.match(LATIN) || []).length;
+  if (deva && deva >= latin) return "hi";
+  if (deva) return "hinglish";
+
+  const words    = [...new Set(s.toLowerCase().match(/[a-z']+/g) || [])];
+  const hinglish = words.filter((w) => HINGLISH_MARKERS.has(w)).length;
+  const english  = words.filter((w) => ENGLISH_MARKERS.has(w)).length;
+  if (hinglish >= 2 || (hinglish && hinglish >= english)) return "hinglish";
+  if (english) return "en";
+  return null;
+}
+
+/**
+ * Normalize a `locale` from the request body: "hi-IN" → "hi",
+ * "hi-Latn" / "hinglish" → "hinglish", "en-*" → "en". Unknown → null.
+ */
+function normalizeLocale(locale) {
+  const l = String(locale || "").trim().toLowerCase().replace(/_/g, "-");
+  if (!l) return null;
+  if (l === "hinglish" || l === "hi-latn" || l.startsWith("hi-latn-")) return "hinglish";
+  if (l === "hi" || l.startsWith("hi-")) return "hi";
+  if (l === "en" || l.startsWith("en-")) return "en";
+  return null;
+}
+
+/**
+ * Locale for this turn: the body override, else the message's language, else
+ * the previous locale of the conversation, else English.
+ * Returns { locale, source: "override" | "detected" | "conversation" | "default" }.
+ */
+function resolveLocale({ override, text, previous }) {
+  const forced = normalizeLocale(override);
+  if (forced) return { locale: forced, source: "override" };
+  const detected = detectLanguage(text);
+  if (detected) return { locale: detected, source: "detected" };
+  if (LOCALES.includes(previous)) return { locale: previous, source: "conversation" };
+  return { locale: "en", source: "default" };
+}
+
+// Last locale a history of { role, content } turns was written in.
+function localeFromHistory(history) {
+  for (let i = (history || []).length - 1; i >= 0; i--) {
+    if (history[i]?.role !== "user") continue;
+    const l = detectLanguage(history[i].content);
+    if (l) return l;
+  }
+  return null;
+}
+
+// =============================================================================
+// Hindi / Hinglish keyword sets — checked after the English patterns in
+// detectIntent, in the same order.
+// =============================================================================
+const INTENT_KEYWORDS = {
+  KIT_OVERVIEW: [
+    /\bkit\s+(?:mein|me|mai)\s+(?:kya|kya\s+kya)\s+(?:hai|h|milta|aata)\b/i,
+    /\bkit\s+ke\s+(?:baare|bare)\s+(?:mein|me|mai)\b/i,
+    /किट\s*में\s*क्या/, /किट\s*के\s*बारे\s*में/,
+  ],
+  COMPONENTS_LIST: [
+    /\b(?:components?|parts?|saman|samaan)\s+(?:ki|ka)\s+list\b/i,
+    /\b(?:kaun|kon)\s*(?:kaun|kon)?\s*(?:se|sa|si)\s+(?:components?|parts?)\b/i,
+    /\b(?:components?|parts?)\s+(?:dikhao|batao|bata\s+do|dikha\s+do)\b/i,
+    /(?:पार्ट्स|कंपोनेंट्स?|सामान)\s*(?:की\s*(?:लिस्ट|सूची)|दिखाओ|बताओ)/, /कौन\s*(?:कौन\s*)?से\s*(?:पार्ट्स|कंपोनेंट)/,
+  ],
+  COMPONENT_PROJECTS: [
+    /\b(?:kis|kaun\s*se|kon\s*se|kaunse|konse)\s+projects?\s+(?:mein|me|mai)\b/i,
+    /\bprojects?\s+(?:mein|me|mai)\s+.*\b(?:use|lagta|lagti|lagte|istemal|hota|hoti)\b/i,
+    /\b(?:kahan|kaha)\s+(?:use|istemal)\s+(?:hota|hoti|hote|karte)\b/i,
+    /किस\s*प्रोजेक्ट\s*में/, /कौन\s*से\s*प्रोजेक्ट/, /कहाँ\s*(?:इस्तेमाल|यूज़?)\s*होता/,
+  ],
+  COMPONENT_INFO: [
+    /\b(?:kya\s+(?:hai|hota|hoti|karta|karti)|kaise\s+(?:kaam|chalta|use)|ke\s+(?:baare|bare)\s+(?:mein|me)|samjhao|kis\s+kaam)\b/i,
+    /क्या\s*(?:है|होता|करता)|कैसे\s*काम|के\s*बारे\s*में|समझाओ|किस\s*काम/,
+  ],
+  PROJECT_SCHEDULE: [
+    /\b(?:agla|agle|next|naya|naye|new)\s+projects?\s+(?:kab|kaun)\b/i,
+    /\bkab\s+(?:aayega|aaega|ayega|aayenge|launch|release)\b/i,
+    /अगला\s*प्रोजेक्ट|नया\s*प्रोजेक्ट|कब\s*(?:आएगा|आयेगा|आएंगे|लॉन्च)/,
+  ],
+  LIST_PROJECTS: [
+    /\b(?:saare|sare|sab|kitne)\s+projects?\b/i,
+    /\bprojects?\s+(?:ki\s+list|dikhao|batao|bata\s+do|dikha\s+do)\b/i,
+    /\b(?:kaun|kon)\s*(?:kaun|kon)?\s*(?:se|sa)\s+projects?\b/i,
+    /(?:सारे|सभी|कितने)\s*प्रोजेक्ट|प्रोजेक्ट\s*(?:की\s*लिस्ट|दिखाओ|बताओ)|कौन\s*कौन\s*से\s*प्रोजेक्ट/,
+  ],
+  PROJECT_VIDEOS: [
+    /\b(?:videos?|lessons?|tutorials?)\b.*\b(?:dikhao|dikha|bhejo|do|chahiye|batao)\b/i,
+    /\b(?:ka|ke|ki)\s+(?:videos?|lessons?)\b/i,
+    /\bkaise\s+(?:banaye|banaen|banau|banaun|banate|banana)\b/i,
+    /(?:वीडियो|लेसन)|कैसे\s*(?:बनाएं|बनाएँ|बनाऊं|बनाते)/,
+  ],
+  BUILD_START: [
+    /\b(?:banana|banane)\s+(?:shuru|start)\b/i,
+    /\bstep\s+by\s+step\s+(?:banao|banate|sikhao|batao)\b/i,
+    /बनाना\s*शुरू|स्टेप\s*बाय\s*स्टेप/,
+  ],
+  LESSON_PLAN: [
+    /\b(?:padhane|padhaane|class)\s+(?:ka|ke\s+liye)\s+plan\b/i,
+    /पाठ\s*योजना|लेसन\s*प्लान/,
+  ],
+};
+
+// Extra support-failure wording, merged into detectSupportFailure's checks.
+const SUPPORT_KEYWORDS = {
+  USER_REQUESTED_SUPPORT: /support\s+se\s+baat|customer\s+care|सपोर्ट|संपर्क|हेल्पलाइन/i,
+  PART_MISSING:           /nahi\s+mila|nahi\s+hai\s+kit|gayab|kho\s+gaya|kho\s+gayi|नहीं\s*मिला|गायब|खो\s*गया/i,
+  HARDWARE_DAMAGED:       /toot|tut\s+gaya|kharab|jal\s+gaya|dhuan|टूट|खराब|जल\s*गया|धुआँ/i,
+};
+
+function matchesIntentKeywords(intent, text) {
+  return (INTENT_KEYWORDS[intent] || []).some((re) => re.test(text));
+}
+
+// =============================================================================
+// Devanagari → Latin, for matching project names typed in Hindi
+// ("मूड लैंप" → "mood laimp"); lib/matching.js does the fuzzy part.
+// =============================================================================
+const DEVA_CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n", "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n", "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "f", "ब": "b", "भ": "bh", "म": "m", "य": "y", "र": "r", "ल": "l", "व": "v", "श": "sh",
+  "ष": "sh", "स": "s", "ह": "h", "ड़": "r", "ढ़": "rh", "क़": "k", "ख़": "kh", "ग़": "g", "ज़": "z", "फ़": "f",
+};
+const DEVA_VOWELS = {
+  "अ": "a", "आ": "aa", "इ": "i", "ई": "ee", "उ": "u", "ऊ": "oo", "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ऋ": "ri",
+};
+const DEVA_SIGNS = {
+  "ा": "a", "ि": "i", "ी": "ee", "ु": "u", "ू": "oo", "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ृ": "ri",
+  "ं": "n", "ँ": "n", "ः": "h", "्": "", "़": "",
+};
+
+function romanize(text) {
+  const chars = [...String(text || "").normalize("NFC")];
+  let out = "";
+  for (let i = 0; i < chars.length; i++) {
+    const c = chars[i], next = chars[i + 1];
+    if (next === "़" && DEVA_CONSONANTS[c + next]) { out += DEVA_CONSONANTS[c + next]; i++; continue; }
+    if (DEVA_CONSONANTS[c]) {
+      out += DEVA_CONSONANTS[c];
+      // Inherent "a" only before another consonant mid-word (कंट्रोलर → kantrolar).
+      if (next && DEVA_CONSONANTS[next]) out += "a";
+    } else if (c === "ं" || c === "ँ") out += /[पफबभम]/.test(next || "") ? "m" : "n";
+    else if (DEVA_VOWELS[c]) out += DEVA_VOWELS[c];
+    else if (c in DEVA_SIGNS) out += DEVA_SIGNS[c];
+    else out += c;
+  }
+  return out;
+}
+
+function hasDevanagari(text) {
+  return /[ऀ-ॿ]/.test(String(text || ""));
+}
+
+// =============================================================================
+// Localized strings for deterministic replies — t(locale, key, vars)
+// =============================================================================
+const STRINGS = {
+  en: {
+    projectsIntro:          "Here are the {count} live projects:",
+    projectsOutro:          "Tell me which project you'd like to learn more about!",
+    videosAskProject:       "Tell me the project/module name (example: Mood Lamp, Coin Counter, Game Controller), and I'll share all the relevant lesson videos for that project.",
+    videosNone:             "I found the project \"{project}\", but no lesson videos are mapped for it yet.",
+    videosShareLinks:       "If you share the lesson links for this project, I'll add them into the KB mapping.",
+    videosHeader:           "Lesson videos for {project}:",
+    whyThisHelps:           "Why this helps:",
+    links:                  "Links:",
+    supportTitle:           "⚠️ Need help?",
+    componentAsk:           "Which component do you want to know about? (example: Servo Motor, LDR, IR Sensor) I'll list every project that uses it.",
+    componentHowToUse:      "How to use it:",
+    componentConnectsTo:    "Connects to:",
+    componentUsedIn:        "Projects that use it:",
+    componentProjectsNone:  "None of the live projects use the {name} yet — but keep an eye out, new projects launch regularly! 🚀",
+    componentProjectsOne:   "The {name} is used in 1 project:",
+    componentProjectsMany:  "The {name} is used in {count} projects:",
+    componentProjectsOutro: "Tell me which one you'd like to build!",
+    cataloguePartial:       "There are {planned} projects, out of which {live} are live.",
+    catalogueAll:           "All {live} projects are live.",
+    catalogueNext:          "The next project, {name}, launches on {date}.",
+    scheduleLive:           "{name} is already live! 🎉 Ask me about it or say \"show videos for {name}\" to start building.",
+    scheduleDated:          "{name} launches on {date}! 🚀 Until then, try one of the {live} live projects.",
+    scheduleSoon:           "{name} is coming soon! 🚀 Its launch date hasn't been announced yet.",
+    scheduleNoneUpcoming:   "New projects will be announced soon — stay tuned! 🚀",
+    scheduleComingUp:       "Coming up next:",
+    scheduleDateSoon:       "date coming soon",
+    scheduleOutro:          "Which one are you most excited about? 🚀",
+    clarifyProject:         "A few projects match that. Which one do you mean?",
+    clarifyComponent:       "A few parts match that. Which one do you mean?",
+    clarifyOutro:           "Tap one, or tell me its number.",
+    buildStepHeader:        "🛠️ {project} — Step {step}/{total}",
+    buildParts:             "Gather these parts:",
+    buildConnections:       "Make these connections:",
+    buildWatch:             "Watch:",
+    buildControls:          "Say \"next\" when you're done, \"back\" to go back, \"repeat\" to see this step again, or \"I'm stuck\" if you need help.",
+    buildAskProject:        "Which project do you want to build? Say \"start building\" and the name (example: start building Coin Counter).",
+    buildNoSteps:           "I don't have step-by-step instructions for {project} yet. Say \"show videos for {project}\" to build along with the lesson videos!",
+    buildDone:              "🎉 You finished building {project}! Awesome work. Try it out — and tell me if anything doesn't work.",
+    buildStopped:           "Okay, we stopped building {project} at step {step}. Say \"start building {project}\" any time to start again.",
+    buildNext:              "Next",
+    buildBack:              "Back",
+    buildRepeat:            "Repeat",
+    buildStuck:             "I'm stuck",
+    wiringHeader:           "🔌 Wiring check for {project}:",
+    wiringOk:               "✅ {part} → Port {port} — correct!",
+    wiringWrong:            "❌ {part} is in Port {said}, but it goes in Port {port}. Move it to Port {port}.",
+    wiringNotUsed:          "⚠️ {project} doesn't use the {part}. You can unplug it.",
+    wiringShared:           "⚠️ {parts} are both in Port {port} — each part needs its own port.",
+    wiringMissing:          "➕ Don't forget: {part} → Port {port}.",
+    wiringAllGood:          "🎉 All your connections are right! Go ahead and try it.",
+    wiringFix:              "Fix the ones marked above and tell me your wiring again — I'll check it!",
+    wiringAskProject:       "Which project are you wiring? Tell me the project and your connections (example: LDR in port 2 for Mood Lamp).",
+    wiringNoMapping:        "I don't have the port list for {project} yet, so I can't check it. Watch its Connections lesson video and match each wire.",
+    wiringAskClaims:        "Tell me each part and its port, like: LDR in port 2, RGB LED in port 5.",
+    troubleDidItWork:       "Did that fix it?",
+    troubleAnswerHint:      "Reply yes or no.",
+    troubleYes:             "Yes",
+    troubleNo:              "No",
+    troubleSolved:          "🎉 Yay, it works now! Great job fixing it. Ask me if anything else goes wrong.",
+    troubleEscalate:        "We tried every check I know for \"{title}\". Time to get help from the Be Cre8v team — ask a grown-up to contact them:",
+    troubleNoContact:       "We tried every check I know for \"{title}\". Ask a grown-up to contact the Be Cre8v team for help.",
+    ticketIntro:            "I can send this to the Be Cre8v team so they can sort it out. I just need a few details first.",
+    ticketAskOrderId:       "📦 What is the order ID? It's on the box or in the order email.",
+    ticketAskComponent:     "🔧 Which part is missing or broken?",
+    ticketAskPhoto:         "📷 Can you send a photo of the part or the problem?",
+    ticketAskParentContact: "👪 What is a parent's phone number or email, so the team can reach them?",
+    ticketSkipHint:         "(Say \"skip\" if you don't have it, or \"cancel\" to stop. You can ask me something else first, too.)",
+    ticketRetry:            "Hmm, I didn't quite get that.",
+    ticketCreated:          "🎫 Done! Your support ticket number is {reference}. The Be Cre8v team will get back to your parent soon. Keep this number handy!",
+    ticketFailed:           "Oops, I couldn't send the ticket just now. Please ask a grown-up to contact the Be Cre8v team directly:",
+    ticketCancelled:        "Okay, I won't send anything. Ask me anytime if you need help!",
+    ticketPaused:           "📝 Your support request is on hold. Say \"continue\" to finish it, or \"cancel\" to drop it.",
+    moderationBlocked:      "Hmm, that's not something I can help with. 🙂 Let's get back to building! Ask me about your project, a part, or how something works.",
+    moderationSelfHarm:     "It sounds like you might be feeling really upset. 💛 Please talk to a grown-up you trust right now — a parent, teacher or family member. You don't have to handle this alone.",
+    injectionBlocked:       "I have to stick to my own rules, so I can't do that one. 🙂 But I'd love to help with your project! What are you building?",
+    rateLimited:            "Whoa, that's a lot of questions really fast! 🐢 Let's take a short break — try again in about {minutes} min.",
+    rateLimitedCreate:      "Making pictures and videos takes a lot of computer power, so there's a limit on how many we can make. 🎨 Try again in about {minutes} min — meanwhile, ask me anything about your project!",
+    lessonPlanTitle:        "Lesson plan: {project}",
+    lessonPlanDuration:     "Duration: about {minutes} minutes",
+    lessonPlanOutcomes:     "Learning outcomes",
+    lessonPlanConcepts:     "Concepts behind the project",
+    lessonPlanMaterials:    "Materials",
+    lessonPlanWiring:       "Wiring",
+    lessonPlanSequence:     "Session plan",
+    lessonPlanVideo:        "Video —",
+    lessonPlanAssessment:   "Check for understanding",
+    lessonPhaseIntro:       "Introduction — what the project does and the ideas behind it",
+    lessonPhaseConnections: "Connections — plug each part into its port",
+    lessonPhaseBuild:       "Build — assemble the model",
+    lessonPhaseCoding:      "Coding — write and upload the program",
+    lessonPhaseTest:        "Test and explore — try it, change one thing, try again",
+    lessonPhaseReflect:     "Reflect — share what worked and what was hard",
+    lessonPlanAskProject:   "Which project would you like a lesson plan for?",
+  },
+  hi: {
+    projectsIntro:          "ये रहे {count} लाइव प्रोजेक्ट्स:",
+    projectsOutro:          "बताओ, तुम किस प्रोजेक्ट के बारे में और जानना चाहोगे!",
+    videosAskProject:       "प्रोजेक्ट या मॉड्यूल का नाम बताओ (जैसे: Mood Lamp, Coin Counter, Game Controller), और मैं उस प्रोजेक्ट के सारे लेसन वीडियो भेज दूँगा।",
+    videosNone:             "मुझे \"{project}\" प्रोजेक्ट मिल गया, लेकिन इसके लेसन वीडियो अभी जोड़े नहीं गए हैं।",
+    videosShareLinks:       "अगर तुम इस प्रोजेक्ट के लेसन लिंक भेजो, तो मैं उन्हें KB में जोड़ दूँगा।",
+    videosHeader:           "{project} के लेसन वीडियो:",
+    whyThisHelps:           "यह क्यों काम आएगा:",
+    links:                  "लिंक:",
+    supportTitle:           "⚠️ मदद चाहिए?",
+    componentAsk:           "तुम किस कंपोनेंट के बारे में जानना चाहते हो? (जैसे: Servo Motor, LDR, IR Sensor) मैं बताऊँगा कि कौन कौन से प्रोजेक्ट उसे इस्तेमाल करते हैं।",
+    componentHowToUse:      "इसे कैसे इस्तेमाल करें:",
+    componentConnectsTo:    "कहाँ जुड़ता है:",
+    componentUsedIn:        "इसे इस्तेमाल करने वाले प्रोजेक्ट:",
+    componentProjectsNone:  "अभी कोई भी लाइव प्रोजेक्ट {name} इस्तेमाल नहीं करता — लेकिन नज़र रखना, नए प्रोजेक्ट आते रहते हैं! 🚀",
+    componentProjectsOne:   "{name} 1 प्रोजेक्ट में इस्तेमाल होता है:",
+    componentProjectsMany:  "{name} {count} प्रोजेक्ट्स में इस्तेमाल होता है:",
+    componentProjectsOutro: "बताओ, तुम कौन सा बनाना चाहोगे!",
+    cataloguePartial:       "कुल {planned} प्रोजेक्ट्स हैं, जिनमें से {live} लाइव हैं।",
+    catalogueAll:           "सभी {live} प्रोजेक्ट्स लाइव हैं।",
+    catalogueNext:          "अगला प्रोजेक्ट, {name}, {date} को लॉन्च होगा।",
+    scheduleLive:           "{name} पहले से लाइव है! 🎉 इसके बारे में पूछो या \"{name} के वीडियो दिखाओ\" बोलो और बनाना शुरू करो।",
+    scheduleDated:          "{name} {date} को लॉन्च होगा! 🚀 तब तक {live} लाइव प्रोजेक्ट्स में से कोई एक ट्राई करो।",
+    scheduleSoon:           "{name} जल्द आ रहा है! 🚀 इसकी लॉन्च डेट अभी घोषित नहीं हुई है।",
+    scheduleNoneUpcoming:   "नए प्रोजेक्ट्स जल्द घोषित होंगे — जुड़े रहो! 🚀",
+    scheduleComingUp:       "आगे आने वाले:",
+    scheduleDateSoon:       "तारीख जल्द आएगी",
+    scheduleOutro:          "तुम किसके लिए सबसे ज़्यादा उत्साहित हो? 🚀",
+    clarifyProject:         "इससे कुछ प्रोजेक्ट मिलते-जुलते हैं। तुम्हारा मतलब किससे है?",
+    clarifyComponent:       "इससे कुछ पार्ट्स मिलते-जुलते हैं। तुम्हारा मतलब किससे है?",
+    clarifyOutro:           "किसी एक पर टैप करो, या उसका नंबर बताओ।",
+    buildStepHeader:        "🛠️ {project} — स्टेप {step}/{total}",
+    buildParts:             "ये पार्ट्स इकट्ठा करो:",
+    buildConnections:       "ये कनेक्शन बनाओ:",
+    buildWatch:             "देखो:",
+    buildControls:          "हो जाए तो \"आगे\" बोलो, पिछले स्टेप के लिए \"पीछे\", यही स्टेप फिर देखने के लिए \"फिर से\", या मदद चाहिए तो \"मैं अटक गया\"।",
+    buildAskProject:        "तुम कौन सा प्रोजेक्ट बनाना चाहते हो? \"बनाना शुरू\" और प्रोजेक्ट का नाम बोलो (जैसे: Coin Counter बनाना शुरू करो)।",
+    buildNoSteps:           "मेरे पास अभी {project} के स्टेप-बाय-स्टेप निर्देश नहीं हैं। \"{project} के वीडियो दिखाओ\" बोलो और लेसन वीडियो के साथ बनाओ!",
+    buildDone:              "🎉 तुमने {project} बना लिया! बहुत बढ़िया। इसे चलाकर देखो — और कुछ काम न करे तो मुझे बताओ।",
+    buildStopped:           "ठीक है, हमने {project} स्टेप {step} पर रोक दिया। फिर से शुरू करने के लिए कभी भी \"{project} बनाना शुरू\" बोलो।",
+    buildNext:              "आगे",
+    buildBack:              "पीछे",
+    buildRepeat:            "फिर से",
+    buildStuck:             "मैं अटक गया",
+    wiringHeader:           "🔌 {project} की वायरिंग जाँच:",
+    wiringOk:               "✅ {part} → पोर्ट {port} — सही है!",
+    wiringWrong:            "❌ {part} पोर्ट {said} में है, पर इसे पोर्ट {port} में लगना है। इसे पोर्ट {port} में लगाओ।",
+    wiringNotUsed:          "⚠️ {project} में {part} इस्तेमाल नहीं होता। इसे निकाल सकते हो।",
+    wiringShared:           "⚠️ {parts} दोनों पोर्ट {port} में हैं — हर पार्ट का अपना पोर्ट होना चाहिए।",
+    wiringMissing:          "➕ भूलना मत: {part} → पोर्ट {port}।",
+    wiringAllGood:          "🎉 तुम्हारे सारे कनेक्शन सही हैं! अब चलाकर देखो।",
+    wiringFix:              "ऊपर बताए कनेक्शन ठीक करो और फिर से अपनी वायरिंग बताओ — मैं जाँच दूँगा!",
+    wiringAskProject:       "तुम कौन सा प्रोजेक्ट जोड़ रहे हो? प्रोजेक्ट और कनेक्शन बताओ (जैसे: Mood Lamp के लिए LDR पोर्ट 2 में)।",
+    wiringNoMapping:        "मेरे पास अभी {project} की पोर्ट लिस्ट नहीं है, इसलिए मैं जाँच नहीं सकता। इसका Connections लेसन वीडियो देखो और हर तार मिलाओ।",
+    wiringAskClaims:        "हर पार्ट और उसका पोर्ट बताओ, जैसे: LDR पोर्ट 2 में, RGB LED पोर्ट 5 में।",
+    troubleDidItWork:       "क्या इससे ठीक हो गया?",
+    troubleAnswerHint:      "हाँ या नहीं में जवाब दो।",
+    troubleYes:             "हाँ",
+    troubleNo:              "नहीं",
+    troubleSolved:          "🎉 वाह, अब चल रहा है! ठीक करने में बहुत बढ़िया काम किया। कुछ और गड़बड़ हो तो पूछना।",
+    troubleEscalate:        "\"{title}\" के लिए मैंने सारी जाँचें कर लीं। अब Be Cre8v टीम की मदद लो — किसी बड़े से उनसे संपर्क करने को कहो:",
+    troubleNoContact:       "\"{title}\" के लिए मैंने सारी जाँचें कर लीं। किसी बड़े से Be Cre8v टीम से मदद माँगने को कहो।",
+    ticketIntro:            "मैं यह Be Cre8v टीम को भेज सकता हूँ ताकि वे इसे ठीक करें। पहले मुझे कुछ जानकारी चाहिए।",
+    ticketAskOrderId:       "📦 ऑर्डर आईडी क्या है? यह डिब्बे पर या ऑर्डर ईमेल में होती है।",
+    ticketAskComponent:     "🔧 कौन सा पार्ट गायब है या टूटा है?",
+    ticketAskPhoto:         "📷 क्या तुम पार्ट या समस्या की फोटो भेज सकते हो?",
+    ticketAskParentContact: "👪 माता-पिता का फ़ोन नंबर या ईमेल क्या है, ताकि टीम उनसे बात कर सके?",
+    ticketSkipHint:         "(अगर नहीं पता तो \"छोड़ो\" बोलो, या रोकने के लिए \"रहने दो\"। चाहो तो पहले कुछ और भी पूछ सकते हो।)",
+    ticketRetry:            "हम्म, मैं ठीक से समझ नहीं पाया।",
+    ticketCreated:          "🎫 हो गया! तुम्हारा सपोर्ट टिकट नंबर {reference} है। Be Cre8v टीम जल्दी ही तुम्हारे माता-पिता से संपर्क करेगी। यह नंबर संभाल कर रखना!",
+    ticketFailed:           "ओह, अभी टिकट नहीं भेज पाया। किसी बड़े से Be Cre8v टीम से सीधे संपर्क करने को कहो:",
+    ticketCancelled:        "ठीक है, मैं कुछ नहीं भेजूँगा। मदद चाहिए तो कभी भी पूछना!",
+    ticketPaused:           "📝 तुम्हारी सपोर्ट रिक्वेस्ट रुकी हुई है। पूरा करने के लिए \"जारी रखो\" बोलो, या हटाने के लिए \"रहने दो\"।",
+    moderationBlocked:      "हम्म, इसमें मैं मदद नहीं कर सकता। 🙂 चलो वापस बनाने पर चलते हैं! अपने प्रोजेक्ट, किसी पार्ट या कोई चीज़ कैसे काम करती है, उसके बारे में पूछो।",
+    moderationSelfHarm:     "लगता है तुम बहुत परेशान हो। 💛 अभी किसी ऐसे बड़े से बात करो जिन पर तुम भरोसा करते हो — मम्मी-पापा, टीचर या घर का कोई सदस्य। तुम्हें ये अकेले नहीं संभालना है।",
+    injectionBlocked:       "मुझे अपने नियमों पर ही चलना है, इसलिए यह मैं नहीं कर सकता। 🙂 पर तुम्हारे प्रोजेक्ट में मदद करना मुझे बहुत अच्छा लगेगा! तुम क्या बना रहे हो?",
+    rateLimited:            "वाह, तुमने बहुत जल्दी-जल्दी बहुत सारे सवाल पूछे! 🐢 चलो थोड़ा आराम करते हैं — लगभग {minutes} मिनट बाद फिर से कोशिश करो।",
+    rateLimitedCreate:      "तस्वीरें और वीडियो बनाने में कंप्यूटर की बहुत ताकत लगती है, इसलिए इनकी एक सीमा है। 🎨 लगभग {minutes} मिनट बाद फिर से कोशिश करो — तब तक अपने प्रोजेक्ट के बारे में कुछ भी पूछो!",
+    lessonPlanTitle:        "पाठ योजना: {project}",
+    lessonPlanDuration:     "समय: लगभग {minutes} मिनट",
+    lessonPlanOutcomes:     "सीखने के परिणाम",
+    lessonPlanConcepts:     "प्रोजेक्ट के पीछे की अवधारणाएँ",
+    lessonPlanMaterials:    "सामग्री",
+    lessonPlanWiring:       "वायरिंग",
+    lessonPlanSequence:     "सत्र योजना",
+    lessonPlanVideo:        "वीडियो —",
+    lessonPlanAssessment:   "समझ की जाँच",
+    lessonPhaseIntro:       "परिचय — प्रोजेक्ट क्या करता है और उसके पीछे के विचार",
+    lessonPhaseConnections: "कनेक्शन — हर पार्ट को उसके पोर्ट में लगाएँ",
+    lessonPhaseBuild:       "निर्माण — मॉडल जोड़ें",
+    lessonPhaseCoding:      "कोडिंग — प्रोग्राम लिखें और अपलोड करें",
+    lessonPhaseTest:        "परीक्षण — चलाकर देखें, एक चीज़ बदलें, फिर से देखें",
+    lessonPhaseReflect:     "चर्चा — क्या चला और क्या मुश्किल था",
+    lessonPlanAskProject:   "किस प्रोजेक्ट के लिए पाठ योजना चाहिए?",
+  },
+  hinglish: {
+    projectsIntro:          "Ye rahe {count} live projects:",
+    projectsOutro:          "Batao, tum kis project ke baare mein aur jaanna chahoge!",
+    videosAskProject:       "Project ya module ka naam batao (jaise: Mood Lamp, Coin Counter, Game Controller), aur main us project ke saare lesson videos bhej dunga.",
+    videosNone:             "Mujhe \"{project}\" project mil gaya, lekin iske lesson videos abhi jode nahi gaye hain.",
+    videosShareLinks:       "Agar tum is project ke lesson links bhejo, toh main unhe KB mein jod dunga.",
+    videosHeader:           "{project} ke lesson videos:",
+    whyThisHelps:           "Ye kyun kaam aayega:",
+    links:                  "Links:",
+    supportTitle:           "⚠️ Madad chahiye?",
+    componentAsk:           "Tum kis component ke baare mein jaanna chahte ho? (jaise: Servo Motor, LDR, IR Sensor) Main bataunga ki kaun kaun se projects use karte hain.",
+    componentHowToUse:      "Ise kaise use karein:",
+    componentConnectsTo:    "Kahan judta hai:",
+    componentUsedIn:        "Ise use karne wale projects:",
+    componentProjectsNone:  "Abhi koi bhi live project {name} use nahi karta — lekin nazar rakhna, naye projects aate rehte hain! 🚀",
+    componentProjectsOne:   "{name} 1 project mein use hota hai:",
+    componentProjectsMany:  "{name} {count} projects mein use hota hai:",
+    componentProjectsOutro: "Batao, tum kaun sa banana chahoge!",
+    cataloguePartial:       "Kul {planned} projects hain, jinmein se {live} live hain.",
+    catalogueAll:           "Sabhi {live} projects live hain.",
+    catalogueNext:          "Agla project, {name}, {date} ko launch hoga.",
+    scheduleLive:           "{name} pehle se live hai! 🎉 Iske baare mein pucho ya \"{name} ke videos dikhao\" bolo aur banana shuru karo.",
+    scheduleDated:          "{name} {date} ko launch hoga! 🚀 Tab tak {live} live projects mein se koi ek try karo.",
+    scheduleSoon:           "{name} jaldi aa raha hai! 🚀 Iski launch date abhi announce nahi hui hai.",
+    scheduleNoneUpcoming:   "Naye projects jaldi announce honge — jude raho! 🚀",
+    scheduleComingUp:       "Aage aane wale:",
+    scheduleDateSoon:       "date jaldi aayegi",
+    scheduleOutro:          "Tum kiske liye sabse zyada excited ho? 🚀",
+    clarifyProject:         "Isse kuch projects milte-julte hain. Tumhara matlab kaunsa hai?",
+    clarifyComponent:       "Isse kuch parts milte-julte hain. Tumhara matlab kaunsa hai?",
+    clarifyOutro:           "Kisi ek pe tap karo, ya uska number batao.",
+    buildStepHeader:        "🛠️ {project} — Step {step}/{total}",
+    buildParts:             "Ye parts ikattha karo:",
+    buildConnections:       "Ye connections banao:",
+    buildWatch:             "Dekho:",
+    buildControls:          "Ho jaye toh \"aage\" bolo, pichle step ke liye \"peeche\", yahi step phir dekhne ke liye \"phir se\", ya madad chahiye toh \"main atak gaya\".",
+    buildAskProject:        "Tum kaun sa project banana chahte ho? \"banana shuru\" aur project ka naam bolo (jaise: Coin Counter banana shuru karo).",
+    buildNoSteps:           "Mere paas abhi {project} ke step-by-step instructions nahi hain. \"{project} ke videos dikhao\" bolo aur lesson videos ke saath banao!",
+    buildDone:              "🎉 Tumne {project} bana liya! Bahut badhiya. Ise chala ke dekho — aur kuch kaam na kare toh mujhe batao.",
+    buildStopped:           "Theek hai, humne {project} step {step} pe rok diya. Phir se shuru karne ke liye kabhi bhi \"{project} banana shuru\" bolo.",
+    buildNext:              "Aage",
+    buildBack:              "Peeche",
+    buildRepeat:            "Phir se",
+    buildStuck:             "Main atak gaya",
+    wiringHeader:           "🔌 {project} ki wiring check:",
+    wiringOk:               "✅ {part} → Port {port} — sahi hai!",
+    wiringWrong:            "❌ {part} Port {said} mein hai, par ise Port {port} mein lagna hai. Ise Port {port} mein lagao.",
+    wiringNotUsed:          "⚠️ {project} mein {part} use nahi hota. Ise nikaal sakte ho.",
+    wiringShared:           "⚠️ {parts} dono Port {port} mein hain — har part ka apna port hona chahiye.",
+    wiringMissing:          "➕ Bhoolna mat: {part} → Port {port}.",
+    wiringAllGood:          "🎉 Tumhare saare connections sahi hain! Ab chala ke dekho.",
+    wiringFix:              "Upar bataye connections theek karo aur phir se apni wiring batao — main check kar dunga!",
+    wiringAskProject:       "Tum kaun sa project jod rahe ho? Project aur connections batao (jaise: Mood Lamp ke liye LDR port 2 mein).",
+    wiringNoMapping:        "Mere paas abhi {project} ki port list nahi hai, isliye main check nahi kar sakta. Iska Connections lesson video dekho aur har wire milao.",
+    wiringAskClaims:        "Har part aur uska port batao, jaise: LDR port 2 mein, RGB LED port 5 mein.",
+    troubleDidItWork:       "Kya isse theek ho gaya?",
+    troubleAnswerHint:      "Haan ya nahi mein jawab do.",
+    troubleYes:             "Haan",
+    troubleNo:              "Nahi",
+    troubleSolved:          "🎉 Wah, ab chal raha hai! Theek karne mein bahut badhiya kaam kiya. Kuch aur gadbad ho toh poochna.",
+    troubleEscalate:        "\"{title}\" ke liye maine saare checks kar liye. Ab Be Cre8v team ki madad lo — kisi bade se unse contact karne ko kaho:",
+    troubleNoContact:       "\"{title}\" ke liye maine saare checks kar liye. Kisi bade se Be Cre8v team se madad maangne ko kaho.",
+    ticketIntro:            "Main ye Be Cre8v team ko bhej sakta hoon taaki wo ise theek karein. Pehle mujhe thodi details chahiye.",
+    ticketAskOrderId:       "📦 Order ID kya hai? Ye box par ya order email mein hota hai.",
+    ticketAskComponent:     "🔧 Kaun sa part missing hai ya toota hai?",
+    ticketAskPhoto:         "📷 Kya tum part ya problem ki photo bhej sakte ho?",
+    ticketAskParentContact: "👪 Mummy-papa ka phone number ya email kya hai, taaki team unse baat kar sake?",
+    ticketSkipHint:         "(Nahi pata toh \"skip\" bolo, ya rokne ke liye \"cancel\". Chaho toh pehle kuch aur bhi pooch sakte ho.)",
+    ticketRetry:            "Hmm, main theek se samajh nahi paaya.",
+    ticketCreated:          "🎫 Ho gaya! Tumhara support ticket number {reference} hai. Be Cre8v team jaldi hi tumhare mummy-papa se contact karegi. Ye number sambhal ke rakhna!",
+    ticketFailed:           "Oops, abhi ticket nahi bhej paaya. Kisi bade se Be Cre8v team se seedha contact karne ko kaho:",
+    ticketCancelled:        "Theek hai, main kuch nahi bhejunga. Madad chahiye toh kabhi bhi poochna!",
+    ticketPaused:           "📝 Tumhari support request ruki hui hai. Poora karne ke liye \"continue\" bolo, ya hatane ke liye \"cancel\".",
+    moderationBlocked:      "Hmm, isme main help nahi kar sakta. 🙂 Chalo wapas building pe chalte hain! Apne project, kisi part ya koi cheez kaise kaam karti hai, uske baare mein poochho.",
+    moderationSelfHarm:     "Lagta hai tum bahut pareshaan ho. 💛 Abhi kisi aise bade se baat karo jin pe tum bharosa karte ho — mummy-papa, teacher ya ghar ka koi member. Tumhe ye akele nahi sambhalna hai.",
+    injectionBlocked:       "Mujhe apne rules follow karne hain, isliye ye main nahi kar sakta. 🙂 Par tumhare project mein help karna mujhe bahut achha lagega! Tum kya bana rahe ho?",
+    rateLimited:            "Wah, tumne bahut jaldi-jaldi bahut saare sawaal pooche! 🐢 Chalo thoda break lete hain — lagbhag {minutes} min baad phir try karo.",
+    rateLimitedCreate:      "Pictures aur videos banane mein computer ki bahut power lagti hai, isliye inki ek limit hai. 🎨 Lagbhag {minutes} min baad phir try karo — tab tak apne project ke baare mein kuch bhi poochho!",
+    lessonPlanTitle:        "Lesson plan: {project}",
+    lessonPlanDuration:     "Samay: lagbhag {minutes} minute",
+    lessonPlanOutcomes:     "Seekhne ke outcomes",
+    lessonPlanConcepts:     "Project ke peeche ke concepts",
+    lessonPlanMaterials:    "Samaan",
+    lessonPlanWiring:       "Wiring",
+    lessonPlanSequence:     "Session plan",
+    lessonPlanVideo:        "Video —",
+    lessonPlanAssessment:   "Samajh ki jaanch",
+    lessonPhaseIntro:       "Introduction — project kya karta hai aur uske peeche ke ideas",
+    lessonPhaseConnections: "Connections — har part ko uske port mein lagayein",
+    lessonPhaseBuild:       "Build — model jodein",
+    lessonPhaseCoding:      "Coding — program likhein aur upload karein",
+    lessonPhaseTest:        "Test — chala ke dekhein, ek cheez badlein, phir dekhein",
+    lessonPhaseReflect:     "Reflect — kya chala aur kya mushkil tha, baat karein",
+    lessonPlanAskProject:   "Kis project ka lesson plan chahiye?",
+  },
+};
+
+function t(locale, key, vars = {}) {
+  const template = STRINGS[locale]?.[key] ?? STRINGS.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+// Intl locale for dates in replies.
+function dateLocale(locale) {
+  return locale === "hi" ? "hi-IN" : "en-IN";
+}
+
+/**
+ * System-prompt section telling the model which language to answer in.
+ */
+function languageInstruction(locale) {
+  if (locale === "hi") {
+    return "LANGUAGE: The child is writing in Hindi. Reply in simple Hindi in Devanagari script. " +
+      "Keep project names, component names, port numbers and board codes exactly as they appear in the knowledge base (in English).";
+  }
+  if (locale === "hinglish") {
+    return "LANGUAGE: The child is writing in Hinglish (Hindi in Roman letters mixed with English). Reply in the same friendly Hinglish, " +
+      "in Roman script — do not switch to Devanagari or to pure English. Keep project names, component names, port numbers and board codes exactly as they appear in the knowledge base.";
+  }
+  return "LANGUAGE: Reply in simple English.";
+}
+
+module.exports = {
+  LOCALES,
+  INTENT_KEYWORDS,
+  SUPPORT_KEYWORDS,
+  detectLanguage,
+  normalizeLocale,
+  resolveLocale,
+  localeFromHistory,
+  matchesIntentKeywords,
+  romanize,
+  hasDevanagari,
+  t,
+  dateLocale,
+  languageInstruction,
+};
@@ -0,0 +1,196 @@
+// =============================================================================
+// Knowledge ingestion — KB / pattern data → typed chunks → vector store
+//
+// Chunk types: project, lesson, component, safety (robocoders namespace) and
+// configuration (spingenius namespace). IDs come from what a chunk is about
+// ("project:mood-lamp", "configuration:1-h:3-5"), never from its position, so
+// re-running ingestion overwrites in place. Every chunk carries a contentHash
+// in its metadata; diffChunks() compares it with what the store already holds
+// and only added/changed chunks are embedded and upserted.
+// =============================================================================
+const crypto = require("crypto");
+const llm    = require("./llm");
+const { buildIndexes } = require("./knowledge");
+const { listPatterns } = require("./spingenius-patterns");
+
+const MAX_CHUNK_CHARS = 1500;
+const FETCH_BATCH     = 100;
+const UPSERT_BATCH    = 50;
+
+function slug(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "untitled";
+}
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+// Split on paragraph boundaries so no chunk exceeds MAX_CHUNK_CHARS (a single
+// oversized paragraph is kept whole rather than cut mid-sentence).
+function splitText(text) {
+  if (text.length <= MAX_CHUNK_CHARS) return [text];
+  const parts = [];
+  let current = "";
+  for (const para of text.split(/\n{2,}/)) {
+    if (current && current.length + para.length + 2 > MAX_CHUNK_CHARS) { parts.push(current); current = ""; }
+    current = current ? `${current}\n\n${para}` : para;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Pinecone rejects null metadata values, so empty fields are dropped.
+function cleanMetadata(meta) {
+  const out = {};
+  for (const [k, v] of Object.entries(meta)) if (v !== null && v !== undefined && v !== "") out[k] = v;
+  return out;
+}
+
+/**
+ * Chunks for one piece of content; long text becomes "<id>", "<id>#2", …
+ */
+function makeChunks(id, type, text, metadata = {}) {
+  const parts = splitText(String(text || "").trim());
+  return parts.filter(Boolean).map((part, i) => ({
+    id:       i === 0 ? id : `${id}#${i + 1}`,
+    text:     part,
+    metadata: cleanMetadata({ ...metadata, type, text: part, contentHash: hashText(`${type}\n${part}`) }),
+  }));
+}
+
+// =============================================================================
+// Chunk builders
+// =============================================================================
+
+/**
+ * Robocoders KB → project, lesson, component and safety chunks (live projects only).
+ */
+function buildRobocodersChunks(kb) {
+  const { projectNames, projectsByName, lessonsByProject, canonicalPinsText, safetyText, componentsMap, projectsByComponent } = buildIndexes(kb);
+  const pinLines = canonicalPinsText.split("\n");
+  const chunks   = [];
+
+  for (const name of projectNames) {
+    const block = projectsByName[name];
+    const pins  = pinLines.filter((l) => l.toLowerCase().includes(name.toLowerCase()));
+    if (block) {
+      const text = `Project: ${name}\n\n${block}${pins.length ? `\n\nPort mappings:\n${pins.join("\n")}` : ""}`;
+      chunks.push(...makeChunks(`project:${slug(name)}`, "project", text, { projectName: name }));
+    }
+    for (const lesson of lessonsByProject[name] || []) {
+      const text = [
+        `Project: ${name}`,
+        `Lesson: ${lesson.lessonName}`,
+        lesson.explainLine ? `What this lesson helps with: ${lesson.explainLine}` : "",
+        `Video: ${lesson.videoLinks.join(" ")}`,
+      ].filter(Boolean).join("\n");
+      chunks.push(...makeChunks(`lesson:${slug(name)}:${slug(lesson.lessonName)}`, "lesson", text, { projectName: name, lessonName: lesson.lessonName }));
+    }
+  }
+
+  for (const [componentId, c] of Object.entries(componentsMap)) {
+    const text = [
+      `Component: ${c.name}`,
+      c.description ? `Description: ${c.description}` : "",
+      c.usage       ? `Usage: ${c.usage}` : "",
+      c.ports       ? `Ports: ${c.ports}` : "",
+      projectsByComponent[componentId]?.length ? `Used in projects: ${projectsByComponent[componentId].join(", ")}` : "",
+    ].filter(Boolean).join("\n");
+    chunks.push(...makeChunks(`component:${slug(componentId)}`, "component", text, { componentId, componentName: c.name }));
+  }
+
+  if (safetyText) chunks.push(...makeChunks("safety:global", "safety", safetyText));
+  return dedupeIds(chunks);
+}
+
+/**
+ * Spin Genius board+stick configurations → configuration chunks.
+ */
+function buildSpinGeniusChunks(patterns = listPatterns()) {
+  return dedupeIds(patterns.flatMap((p) => {
+    const text = [
+      `Spin Genius pattern: ${p.patternName} (${p.funName})`,
+      `Board Position: ${p.boardPosition}`,
+      `Stick Position: ${p.stickPosition}`,
+      p.shapeNames.length ? `Looks like: ${p.shapeNames.join(", ")}` : "",
+    ].filter(Boolean).join("\n");
+    return makeChunks(`configuration:${slug(p.boardPosition)}:${slug(p.stickPosition)}`, "configuration", text, {
+      boardPosition: p.boardPosition,
+      stickPosition: p.stickPosition,
+      patternImage:  p.patternImage,
+      patternName:   p.patternName,
+      funName:       p.funName,
+    });
+  }));
+}
+
+// Two lessons can slug to the same id; later ones get "~2", "~3" in KB order.
+function dedupeIds(chunks) {
+  const seen = new Map();
+  return chunks.map((c) => {
+    const n = (seen.get(c.id) || 0) + 1;
+    seen.set(c.id, n);
+    return n === 1 ? c : { ...c, id: `${c.id}~${n}` };
+  });
+}
+
+// =============================================================================
+// Diff + upsert
+// =============================================================================
+
+/**
+ * Compare chunks with the store by contentHash.
+ * Returns { added, changed, unchanged, stale, staleError } — stale are ids in the
+ * namespace that this run no longer produces (null + staleError if the store
+ * cannot list ids).
+ */
+async function diffChunks(store, namespace, chunks) {
+  const existing = {};
+  for (let i = 0; i < chunks.length; i += FETCH_BATCH) {
+    Object.assign(existing, await store.fetch({ namespace, ids: chunks.slice(i, i + FETCH_BATCH).map((c) => c.id) }));
+  }
+  const diff = { added: [], changed: [], unchanged: [], stale: [], staleError: null };
+  for (const c of chunks) {
+    const prev = existing[c.id];
+    if (!prev) diff.added.push(c);
+    else if (prev.metadata?.contentHash !== c.metadata.contentHash) diff.changed.push(c);
+    else diff.unchanged.push(c);
+  }
+  try {
+    const wanted = new Set(chunks.map((c) => c.id));
+    diff.stale = (await store.listIds({ namespace })).filter((id) => !wanted.has(id)).sort();
+  } catch (err) {
+    diff.stale = null;
+    diff.staleError = err.message;
+  }
+  return diff;
+}
+
+/**
+ * Embed and upsert added + changed chunks; delete stale ids when prune is set.
+ * dryRun — only compute the diff.
+ * onProgress(done, total) — called after each upsert batch.
+ * Returns { diff, upserted, deleted }.
+ */
+async function ingestChunks(store, namespace, chunks, { dryRun = false, prune = false, onProgress } = {}) {
+  const diff = await diffChunks(store, namespace, chunks);
+  if (dryRun) return { diff, upserted: 0, deleted: 0 };
+
+  const todo = [...diff.added, ...diff.changed];
+  let upserted = 0;
+  for (let i = 0; i < todo.length; i += UPSERT_BATCH) {
+    const batch   = todo.slice(i, i + UPSERT_BATCH);
+    const vectors = [];
+    for (const c of batch) {
+      const { embedding } = await llm.embed({ input: c.text });
+      vectors.push({ id: c.id, values: embedding, metadata: c.metadata });
+    }
+    upserted += await store.upsert({ namespace, vectors });
+    onProgress?.(Math.min(i + UPSERT_BATCH, todo.length), todo.length);
+  }
+
+  const deleted = prune && diff.stale?.length ? await store.delete({ namespace, ids: diff.stale }) : 0;
+  return { diff, upserted, deleted };
+}
+
+module.exports = { buildRobocodersChunks, buildSpinGeniusChunks, diffChunks, ingestChunks, slug };
@@ -0,0 +1,301 @@
+// =============================================================================
+// Intent rules engine — deterministic intents defined as data
+//
+// A rule:
+//   {
+//     id:       "kit-overview",           // reported in debug.intent.rule
+//     intent:   "KIT_OVERVIEW",
+//     priority: 100,                      // higher is checked first
+//     patterns: ["tell me about.*kit"],   // regex sources, case-insensitive
+//     requires: ["component|pronoun"],    // every entry must hold; "|" = any of
+//     excludes: ["project"],              // none of these may be mentioned
+//   }
+// A rule fires when any pattern (or a Hindi/Hinglish keyword set for its
+// intent, lib/i18n INTENT_KEYWORDS) matches AND its requires/excludes hold.
+// requires/excludes apply to the whole rule, whichever pattern matched.
+// Entities: "project" and "component" come from the caller's detectors
+// (lib/matching), "pronoun" is built in.
+//
+// Rules are merged by id: DEFAULT_INTENT_RULES, then the JSON file at
+// INTENT_RULES_PATH, then kb.intentRules. A later rule with the same id
+// replaces the earlier one; { id, disabled: true } removes it.
+// No rule firing → GENERAL.
+//
+// Second stage: classifyWithLlm() asks a model for strict JSON when the rules
+// say GENERAL ("can u send the mood lamp vids"). Its project and component are
+// checked against the KB lists, so a made-up name never reaches a handler.
+// It costs a model round-trip before the reply on every GENERAL message, so it
+// is opt-in: INTENT_CLASSIFIER=on.
+// =============================================================================
+const fs  = require("fs");
+const llm = require("./llm");
+const { matchesIntentKeywords, LOCALES } = require("./i18n");
+const { matchProject, matchComponent } = require("./matching");
+
+const ENTITY_PATTERNS = {
+  pronoun: /\b(?:it|this|that|them|these|ye|yeh|iska|ise|isko)\b/i,
+};
+
+// "what components are in the kit" also fits the overview patterns, so the
+// components list outranks the overview. A stated port number ("LDR in port 2")
+// is a wiring check whatever else the message says. "lesson plan for the mood
+// lamp project" also fits the videos patterns, so lesson plans outrank them.
+const DEFAULT_INTENT_RULES = [
+  {
+    id: "wiring-check", intent: "WIRING_CHECK", priority: 110,
+    patterns: [
+      "\\b(?:port|p)\\s*[-#:.]?\\s*(?:no\\.?\\s*|number\\s*)?[a-z]?\\d+\\b",
+      "(?:->|→|=>)\\s*[a-z]?\\d+\\b",
+      "\\b\\d+\\s*(?:number|no\\.?)\\s*port",
+      "पोर्ट\\s*\\d",
+    ],
+    requires: ["component|project"],
+  },
+  {
+    id: "components-list", intent: "COMPONENTS_LIST", priority: 100,
+    patterns: ["what.*(components?|parts?|pieces?).*kit", "list.*components?", "show.*components?", "components?.*list"],
+  },
+  {
+    id: "kit-overview", intent: "KIT_OVERVIEW", priority: 90,
+    patterns: ["what.*(is|in|about|contains?).*kit", "tell me about.*kit", "kit.*overview", "^(?!.*brain).*what.*robocoders"],
+    excludes: ["project"],
+  },
+  {
+    id: "component-projects", intent: "COMPONENT_PROJECTS", priority: 80,
+    patterns: [
+      "\\b(?:which|what)\\b.*\\b(?:projects?|modules?)\\b.*\\b(?:use[sd]?|using|need[s]?|ha(?:s|ve))\\b",
+      "\\b(?:projects?|modules?)\\b.*\\b(?:with|using|that use[s]?)\\b",
+      "\\bwhere\\b.*\\bused\\b",
+    ],
+    requires: ["component|pronoun"],
+    excludes: ["project"],
+  },
+  {
+    id: "component-info", intent: "COMPONENT_INFO", priority: 70,
+    patterns: ["what.*(is|does)", "tell me about", "how.*(works?|use)", "explain"],
+    requires: ["component"],
+    excludes: ["project"],
+  },
+  {
+    id: "project-schedule", intent: "PROJECT_SCHEDULE", priority: 60,
+    patterns: [
+      "\\b(?:next|upcoming|new|coming soon|future)\\b.*\\b(?:projects?|modules?|launch(?:es|ing)?|releases?)\\b",
+      "when (?:will|does|is|do).*(?:launch|release|come out|coming|available)",
+      "(?:launch|release) (?:date|schedule)",
+    ],
+  },
+  {
+    id: "list-projects", intent: "LIST_PROJECTS", priority: 50,
+    patterns: ["(?:list|show|what are|tell me).*(?:projects?|modules?)", "how many projects?", "all projects?"],
+  },
+  {
+    id: "lesson-plan", intent: "LESSON_PLAN", priority: 47,
+    patterns: ["\\blesson[ -]?plans?\\b", "\\bclass(?:room)?[ -](?:plan|session)\\b", "\\bteach(?:ing)?\\b.*\\b(?:class|students|classroom)\\b"],
+    requires: ["project|pronoun"],
+  },
+  {
+    id: "build-start", intent: "BUILD_START", priority: 45,
+    patterns: [
+      "\\b(?:start|begin)\\b.*\\b(?:build(?:ing)?|making|make)\\b",
+      "\\b(?:build|make)\\b.*\\bstep[ -]by[ -]step\\b",
+      "\\b(?:guide|walk) me\\b.*\\b(?:build(?:ing)?|making|make)\\b",
+    ],
+  },
+  {
+    id: "project-videos", intent: "PROJECT_VIDEOS", priority: 40,
+    patterns: ["(?:video|lesson|tutorial|how to (?:build|make|create)).*(?:project|module)", "show.*videos?", "(?:project|module).*(?:video|lesson)"],
+  },
+];
+
+/**
+ * Merge rule lists by id (later lists win) and drop { disabled: true } rules.
+ */
+function mergeRules(...lists) {
+  const byId = new Map();
+  for (const list of lists) {
+    for (const rule of Array.isArray(list) ? list : []) {
+      if (!rule?.id) continue;
+      byId.delete(rule.id);   // re-insert so an override keeps list order for ties
+      if (!rule.disabled) byId.set(rule.id, rule);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Compile rules, best priority first (ties keep list order). A rule with a bad
+ * pattern is skipped with a warning so one KB typo cannot take intents down.
+ */
+function compileRules(rules) {
+  const compiled = [];
+  rules.forEach((rule, order) => {
+    try {
+      if (!rule.intent) throw new Error("missing intent");
+      compiled.push({
+        id:       rule.id,
+        intent:   rule.intent,
+        priority: Number(rule.priority) || 0,
+        order,
+        patterns: (rule.patterns || []).map((p) => new RegExp(p, "i")),
+        requires: (rule.requires || []).map((r) => String(r).split("|")),
+        excludes: rule.excludes || [],
+      });
+    } catch (err) {
+      console.warn(`Intent rule "${rule.id}" skipped: ${err.message}`);
+    }
+  });
+  return compiled.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * Engine over rules. classify(text, { detectors }) → { type, rule, matched }.
+ * detectors — { project(text), component(text) } returning a value or null;
+ * each is called at most once per classify().
+ */
+function createIntentEngine(rules = DEFAULT_INTENT_RULES) {
+  const compiled = compileRules(rules);
+  return {
+    rules: compiled,
+    classify(text, { detectors = {} } = {}) {
+      const lower = String(text || "").toLowerCase().trim();
+      const found = {};
+      const has = (entity) => {
+        if (!(entity in found)) {
+          found[entity] = ENTITY_PATTERNS[entity] ? ENTITY_PATTERNS[entity].test(lower) : !!detectors[entity]?.(lower);
+        }
+        return found[entity];
+      };
+
+      for (const rule of compiled) {
+        const pattern = rule.patterns.find((re) => re.test(lower));
+        const matched = pattern ? pattern.source : matchesIntentKeywords(rule.intent, lower) ? "keywords" : null;
+        if (!matched) continue;
+        if (!rule.requires.every((any) => any.some(has))) continue;
+        if (rule.excludes.some(has)) continue;
+        return { type: rule.intent, rule: rule.id, matched };
+      }
+      return { type: "GENERAL", rule: null, matched: null };
+    },
+  };
+}
+
+function readRulesFile(path = process.env.INTENT_RULES_PATH) {
+  if (!path) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path, "utf8"));
+    return Array.isArray(parsed) ? parsed : parsed.rules || [];
+  } catch (err) {
+    console.warn(`Could not read intent rules from ${path}: ${err.message}`);
+    return [];
+  }
+}
+
+// Engines are rebuilt only when the KB rule list changes (new array identity).
+const engineCache = new WeakMap();
+const NO_RULES    = Object.freeze([]);
+let fileRules     = null;
+
+/**
+ * Engine for the defaults + INTENT_RULES_PATH + kbRules (kb.intentRules).
+ */
+function getIntentEngine(kbRules = NO_RULES) {
+  const key = Array.isArray(kbRules) ? kbRules : NO_RULES;
+  if (!engineCache.has(key)) {
+    fileRules ||= readRulesFile();
+    engineCache.set(key, createIntentEngine(mergeRules(DEFAULT_INTENT_RULES, fileRules, key)));
+  }
+  return engineCache.get(key);
+}
+
+// =============================================================================
+// Second stage — LLM classifier (chain "intent")
+// =============================================================================
+const INTENT_TYPES = ["KIT_OVERVIEW", "COMPONENTS_LIST", "COMPONENT_PROJECTS", "COMPONENT_INFO", "PROJECT_SCHEDULE", "LIST_PROJECTS", "PROJECT_VIDEOS", "BUILD_START", "WIRING_CHECK", "LESSON_PLAN", "GENERAL"];
+
+function llmClassifierEnabled() {
+  return /^(1|on|true|yes)$/i.test(process.env.INTENT_CLASSIFIER || "");
+}
+
+function classifierPrompt(projectNames, componentNames) {
+  return `
+You classify messages that children send to the Robocoders kit assistant.
+Reply with ONLY a JSON object, no prose and no code fences:
+{"type": "...", "project": "..." | null, "component": "..." | null, "language": "en" | "hi" | "hinglish"}
+
+type is one of:
+- KIT_OVERVIEW — what the kit is / what is inside it
+- COMPONENTS_LIST — list every component or part in the kit
+- COMPONENT_INFO — what one component is or how it works
+- COMPONENT_PROJECTS — which projects use one component
+- PROJECT_SCHEDULE — upcoming projects or launch dates
+- LIST_PROJECTS — list or count the projects
+- PROJECT_VIDEOS — lesson videos or tutorials for a project
+- BUILD_START — wants to start building a project step by step, with guidance
+- WIRING_CHECK — says which port each part is plugged into and wants it checked
+- LESSON_PLAN — a teacher or parent wants a classroom lesson plan for a project
+- GENERAL — anything else (building help, wiring, coding, problems, chat)
+
+project: copied exactly from this list, or null: ${projectNames.join(", ")}
+component: copied exactly from this list, or null: ${componentNames.join(", ")}
+language: the language the child wrote in (Hinglish = Hindi in Latin letters).
+When unsure, answer GENERAL.
+`.trim();
+}
+
+/**
+ * Validate the model's JSON against the known intents, projects and components.
+ * Returns { type, project, component, language, rejected: [field, …] }; unknown
+ * values become GENERAL / null and are listed in rejected.
+ */
+function parseClassification(text, { projectNames, projectAliases, componentsMap }) {
+  const raw = String(text || "").replace(/```(?:json)?/gi, "");
+  const json = raw.slice(raw.indexOf("{"), raw.lastIndexOf("}") + 1);
+  let parsed;
+  try { parsed = JSON.parse(json); } catch (_) { throw new Error("classifier did not return JSON"); }
+
+  const rejected = [];
+  const type = INTENT_TYPES.includes(parsed.type) ? parsed.type : (rejected.push("type"), "GENERAL");
+
+  let project = null;
+  if (parsed.project) {
+    const m = matchProject(String(parsed.project), projectNames, projectAliases);
+    if (m?.accepted) project = m.name; else rejected.push("project");
+  }
+  let component = null;
+  if (parsed.component) {
+    const m = matchComponent(String(parsed.component), componentsMap);
+    if (m?.accepted) component = m.id; else rejected.push("component");
+  }
+  const language = LOCALES.includes(parsed.language) ? parsed.language : null;
+  return { type, project, component, language, rejected };
+}
+
+/**
+ * Ask the model for a structured intent. lookup — { projectNames,
+ * projectAliases, componentsMap }. Throws on LLM or parse failure.
+ * Returns parseClassification() + { model }.
+ */
+async function classifyWithLlm(text, lookup, { chain = "intent" } = {}) {
+  const componentNames = Object.values(lookup.componentsMap).map((c) => c?.name).filter(Boolean);
+  const { text: reply, provider, model } = await llm.chat({
+    chain,
+    system:          classifierPrompt(lookup.projectNames, componentNames),
+    messages:        [{ role: "user", content: String(text || "").trim() }],
+    temperature:     0,
+    maxOutputTokens: 120,
+    thinkingBudget:  0,   // the JSON is all we need; thinking would eat the 120 tokens
+  });
+  return { ...parseClassification(reply, lookup), model: `${provider}:${model}` };
+}
+
+module.exports = {
+  DEFAULT_INTENT_RULES,
+  INTENT_TYPES,
+  mergeRules,
+  compileRules,
+  createIntentEngine,
+  getIntentEngine,
+  llmClassifierEnabled,
+  parseClassification,
+  classifyWithLlm,
+};
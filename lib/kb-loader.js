@@ -0,0 +1,151 @@
+// =============================================================================
+// Knowledge base loader — in-memory cache with ETag / Last-Modified revalidation
+//
+// The KB JSON and the indexes built from it are kept for the life of the
+// serverless instance. After KNOWLEDGE_TTL_MS the next request revalidates with
+// a conditional GET; a 304 (or an identical body) keeps the existing indexes.
+// If the KB host is down and we already hold a copy, that copy is served stale
+// instead of failing the chat request.
+//
+// Every fresh copy is checked against lib/kb-schema.js. Violations are logged
+// and counted in `info.schemaErrors`; with KNOWLEDGE_STRICT=true a KB that
+// fails validation is refused (the previous copy keeps serving, if any).
+// =============================================================================
+const crypto = require("crypto");
+const { buildIndexes } = require("./knowledge");
+const { validateKnowledgeBase, formatValidationErrors } = require("./kb-schema");
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+let   cache    = null;        // { url, kb, indexes, hash, schemaErrors, version, etag, lastModified, fetchedAt, checkedAt }
+const inflight = new Map();   // url → shared promise while its fetch/revalidation is running
+
+function ttlMs() {
+  const n = Number(process.env.KNOWLEDGE_TTL_MS);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_TTL_MS;
+}
+
+function strictMode() {
+  return /^(1|true|yes)$/i.test(process.env.KNOWLEDGE_STRICT || "");
+}
+
+function hashBody(raw) {
+  return crypto.createHash("sha256").update(raw).digest("hex").slice(0, 12);
+}
+
+function snapshot(entry, source) {
+  rollReleases(entry);
+  return {
+    kb:      entry.kb,
+    indexes: entry.indexes,
+    info: {
+      version:      entry.version,
+      hash:         entry.hash,
+      schemaErrors: entry.schemaErrors,
+      source,       // "memory" | "fetched" | "revalidated" | "stale"
+      fetchedAt:    new Date(entry.fetchedAt).toISOString(),
+    },
+  };
+}
+
+/**
+ * Load the Robocoders KB and its indexes, using the in-memory copy when fresh.
+ * url — defaults to process.env.KNOWLEDGE_URL
+ * Returns { kb, indexes, info: { version, hash, schemaErrors, source, fetchedAt } }.
+ * Throws only when there is no cached copy to fall back to.
+ */
+async function loadKnowledgeBase(url = process.env.KNOWLEDGE_URL) {
+  if (!url) throw new Error("KNOWLEDGE_URL is not set in env.");
+
+  const current = cache && cache.url === url ? cache : null;
+  if (current && Date.now() - current.checkedAt < ttlMs()) return snapshot(current, "memory");
+
+  if (!inflight.has(url)) {
+    inflight.set(url, refresh(url, current).finally(() => inflight.delete(url)));
+  }
+  return inflight.get(url);
+}
+
+async function refresh(url, current) {
+  const headers = {};
+  if (current?.etag)         headers["If-None-Match"]     = current.etag;
+  if (current?.lastModified) headers["If-Modified-Since"] = current.lastModified;
+
+  let r;
+  try {
+    r = await fetch(url, { cache: "no-store", headers });
+  } catch (err) {
+    if (current) return serveStale(current, err.message);
+    throw new Error("Failed to fetch knowledge JSON: " + err.message);
+  }
+
+  if (r.status === 304 && current) {
+    current.checkedAt = Date.now();
+    return snapshot(current, "revalidated");
+  }
+  if (!r.ok) {
+    if (current) return serveStale(current, `status=${r.status}`);
+    throw new Error(`Failed to fetch knowledge JSON. status=${r.status}`);
+  }
+
+  const raw  = await r.text();
+  const hash = hashBody(raw);
+  const now  = Date.now();
+  const etag         = r.headers.get("etag");
+  const lastModified = r.headers.get("last-modified");
+
+  // Host ignored the conditional headers but the body is unchanged — keep the indexes.
+  if (current && current.hash === hash) {
+    Object.assign(current, { etag, lastModified, checkedAt: now });
+    return snapshot(current, "revalidated");
+  }
+
+  let kb;
+  try {
+    kb = JSON.parse(raw);
+  } catch (err) {
+    if (current) return serveStale(current, "invalid JSON");
+    throw new Error("Knowledge JSON is not valid JSON: " + err.message);
+  }
+
+  const { errors } = validateKnowledgeBase(kb);
+  if (errors.length) {
+    const summary = formatValidationErrors(errors.slice(0, 10));
+    if (strictMode()) {
+      if (current) return serveStale(current, `schema validation failed (${errors.length} errors)`);
+      throw new Error(`Knowledge JSON failed schema validation (${errors.length} errors):\n${summary}`);
+    }
+    console.warn(`KB schema: ${errors.length} violation(s)\n${summary}`);
+  }
+
+  cache = {
+    url, kb, hash,
+    indexes:      buildIndexes(kb),
+    schemaErrors: errors.length,
+    version:      kb?.version || kb?.overview?.version || null,
+    etag, lastModified,
+    fetchedAt:    now,
+    checkedAt:    now,
+  };
+  console.log(`KB loaded: version=${cache.version || "n/a"} hash=${hash}`);
+  return snapshot(cache, "fetched");
+}
+
+// A scheduled project has gone live since the indexes were built — rebuild
+// them from the cached KB so the launch shows up without a refetch.
+function rollReleases(entry) {
+  const next = entry.indexes.projectsSummary?.nextReleaseAt;
+  if (next && Date.now() >= next) entry.indexes = buildIndexes(entry.kb);
+}
+
+function serveStale(entry, reason) {
+  console.warn(`KB revalidation failed (${reason}), serving cached copy ${entry.hash}`);
+  entry.checkedAt = Date.now();
+  return snapshot(entry, "stale");
+}
+
+function clearKnowledgeCache() {
+  cache = null;
+}
+
+module.exports = { loadKnowledgeBase, clearKnowledgeCache };
@@ -0,0 +1,303 @@
+// =============================================================================
+// Robocoders knowledge base schema + validator
+//
+// The extractors in lib/knowledge.js fall back to defaults when the KB has the
+// wrong shape, so a typo only shows up as a bad answer. This schema describes
+// what they actually read; validateKnowledgeBase() reports every violation
+// with a JSON path (e.g. "$.lessons[3].video_url").
+//
+// Schema nodes are plain objects:
+//   type                 — "object" | "array" | "string" | "number" | "boolean"
+//   properties/required  — for objects with known keys
+//   values               — schema applied to every value of a map-like object
+//   items                — schema applied to every array element
+//   anyOf                — list of alternative schemas
+//   enum / format        — allowed values / "url" | "date"
+//   check(value)         — extra rule, returns an error message or null
+// =============================================================================
+
+const SUPPORT_REASONS = ["USER_REQUESTED_SUPPORT", "PART_MISSING", "HARDWARE_DAMAGED", "UNKNOWN_COMPONENT", "PROJECT_NOT_IN_KB"];
+
+const STRING       = { type: "string" };
+const URL_STRING   = { type: "string", format: "url" };
+const STRING_LIST  = { type: "array", items: STRING };
+
+const PAGE = {
+  type: "object",
+  properties: {
+    type:          STRING,
+    text:          STRING,
+    projectName:   STRING,
+    componentId:   STRING,
+    componentName: STRING,
+    aliases:       STRING_LIST,
+  },
+  check: (page) => {
+    if (page.type === "project" && !page.projectName)                         return "project pages need a projectName";
+    if (page.type === "component" && (!page.componentId || !page.componentName)) return "component pages need componentId and componentName";
+    return null;
+  },
+};
+
+const LESSON = {
+  type: "object",
+  required: ["project", "lesson_name", "video_url"],
+  properties: {
+    project:     STRING,
+    lesson_name: STRING,
+    video_url:   { anyOf: [URL_STRING, { type: "array", items: URL_STRING }] },
+  },
+};
+
+const COMPONENT = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name:        STRING,
+    description: STRING,
+    usage:       STRING,
+    ports:       STRING,
+    aliases:     STRING_LIST,
+  },
+};
+
+const COMPONENT_CATEGORY = {
+  type: "object",
+  required: ["count"],
+  properties: {
+    count:       { type: "number" },
+    components:  STRING_LIST,
+    description: STRING,
+  },
+  check: (cat) => (!Array.isArray(cat.components) && typeof cat.description !== "string"
+    ? "category needs a components list or a description"
+    : null),
+};
+
+// lib/educator lesson-plan concept, overriding the ones derived from parts
+const CONCEPT = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name:        STRING,
+    explanation: STRING,
+  },
+};
+
+const PROJECT = {
+  type: "object",
+  properties: {
+    name:             STRING,
+    status:           { type: "string", enum: ["live", "upcoming"] },
+    releaseDate:      { type: "string", format: "date" },
+    description:      STRING,
+    componentsUsed:   STRING_LIST,
+    connections:      STRING_LIST,
+    steps:            STRING_LIST,
+    aliases:          STRING_LIST,
+    learningOutcomes: STRING_LIST,
+    concepts:         { type: "array", items: CONCEPT },
+    durationMinutes:  { type: "number" },
+  },
+};
+
+// lib/intents.js rule; patterns are regex sources
+const INTENT_RULE = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id:       STRING,
+    intent:   STRING,
+    priority: { type: "number" },
+    patterns: STRING_LIST,
+    requires: STRING_LIST,
+    excludes: STRING_LIST,
+    disabled: { type: "boolean" },
+  },
+  check: (rule) => {
+    if (!rule.disabled && !rule.intent) return "rule needs an intent (or disabled: true)";
+    for (const p of rule.patterns || []) {
+      try { new RegExp(p, "i"); } catch (err) { return `bad pattern ${JSON.stringify(p)}: ${err.message}`; }
+    }
+    return null;
+  },
+};
+
+// lib/troubleshooting.js tree; node texts are strings or { en, hi, hinglish }
+const LOCALIZED_TEXT = { anyOf: [STRING, { type: "object", values: STRING }] };
+
+const TROUBLESHOOTING_NODE = {
+  type: "object",
+  properties: {
+    question: LOCALIZED_TEXT,
+    yes:      STRING,
+    no:       STRING,
+    fix:      LOCALIZED_TEXT,
+    next:     STRING,
+  },
+  check: (node) => (!node.question === !node.fix ? "node needs exactly one of question or fix" : null),
+};
+
+const TROUBLESHOOTING_TREE = {
+  type: "object",
+  required: ["id", "title", "start", "nodes"],
+  properties: {
+    id:        STRING,
+    title:     LOCALIZED_TEXT,
+    project:   STRING,
+    component: STRING,
+    triggers:  STRING_LIST,
+    start:     STRING,
+    nodes:     { type: "object", values: TROUBLESHOOTING_NODE },
+  },
+  check: (tree) => {
+    const ids = Object.keys(tree.nodes || {});
+    if (!ids.includes(tree.start)) return `start node "${tree.start}" does not exist`;
+    for (const [id, node] of Object.entries(tree.nodes || {})) {
+      for (const key of ["yes", "no", "next"]) {
+        const target = node?.[key];
+        if (target && target !== "solved" && target !== "support" && !ids.includes(target)) return `node "${id}" ${key} → unknown node "${target}"`;
+      }
+    }
+    for (const p of tree.triggers || []) {
+      try { new RegExp(p, "i"); } catch (err) { return `bad trigger ${JSON.stringify(p)}: ${err.message}`; }
+    }
+    return null;
+  },
+};
+
+const KB_SCHEMA = {
+  type: "object",
+  properties: {
+    version: STRING,
+    overview: {
+      type: "object",
+      properties: {
+        kitName:         STRING,
+        description:     STRING,
+        whatIsInside:    STRING,
+        keyFeatures:     STRING_LIST,
+        totalProjects:   { type: "number" },
+        totalComponents: { type: "number" },
+        ageRange:        STRING,
+        releaseCadence:  STRING,
+      },
+    },
+    pages:   { type: "array", items: PAGE },
+    lessons: { type: "array", items: LESSON },
+    glossary: {
+      type: "object",
+      properties: {
+        components: { type: "object", values: COMPONENT },
+      },
+    },
+    componentsSummary: {
+      type: "object",
+      properties: {
+        totalCount:  { type: "number" },
+        description: STRING,
+        categories:  { type: "object", values: COMPONENT_CATEGORY },
+      },
+    },
+    intentRules: { type: "array", items: INTENT_RULE },
+    troubleshooting: { type: "array", items: TROUBLESHOOTING_TREE },
+    projects: {
+      anyOf: [
+        { type: "array", items: { ...PROJECT, required: ["name"] } },
+        { type: "object", values: PROJECT },
+      ],
+    },
+    support: {
+      type: "object",
+      required: ["enabled"],
+      properties: {
+        enabled: { type: "boolean" },
+        message: STRING,
+        contact: {
+          type: "object",
+          required: ["email", "phone"],
+          properties: { email: STRING, phone: STRING, hours: STRING },
+        },
+        show_when: { type: "array", items: { type: "string", enum: SUPPORT_REASONS } },
+      },
+      check: (s) => (s.enabled && (!s.message || !s.contact) ? "enabled support needs a message and contact" : null),
+    },
+  },
+};
+
+// =============================================================================
+// Validator
+// =============================================================================
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null)       return "null";
+  return typeof value;
+}
+
+function checkFormat(format, value) {
+  if (format === "url")  return /^https?:\/\/\S+$/i.test(value) ? null : "must be an http(s) URL";
+  if (format === "date") return /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)) ? null : "must be an ISO date (YYYY-MM-DD)";
+  return null;
+}
+
+function validateNode(schema, value, path, errors) {
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((s) => { const e = []; validateNode(s, value, path, e); return e; });
+    if (!branches.some((e) => e.length === 0)) {
+      // Report the branch with the fewest problems — usually the one that was meant.
+      branches.sort((a, b) => a.length - b.length);
+      errors.push(...branches[0]);
+    }
+    return;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) {
+    errors.push({ path, message: `expected ${schema.type}, got ${actual}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+  if (schema.format) {
+    const msg = checkFormat(schema.format, value);
+    if (msg) errors.push({ path, message: msg });
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === "") {
+        errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validateNode(sub, value[key], `${path}.${key}`, errors);
+    }
+    if (schema.values) {
+      for (const [key, v] of Object.entries(value)) validateNode(schema.values, v, `${path}.${key}`, errors);
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((v, i) => validateNode(schema.items, v, `${path}[${i}]`, errors));
+  }
+  if (schema.check && (actual === "object" || actual === "array")) {
+    const msg = schema.check(value);
+    if (msg) errors.push({ path, message: msg });
+  }
+}
+
+/**
+ * Validate a parsed KB against KB_SCHEMA.
+ * Returns { valid, errors: [{ path, message }] } — every violation, not just the first.
+ */
+function validateKnowledgeBase(kb) {
+  const errors = [];
+  validateNode(KB_SCHEMA, kb, "$", errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function formatValidationErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`).join("\n");
+}
+
+module.exports = { KB_SCHEMA, SUPPORT_REASONS, validateKnowledgeBase, formatValidationErrors };
@@ -0,0 +1,515 @@
+// =============================================================================
+// Robocoders knowledge base — index builders
+// Shared by api/chat.js and api/playground.js (via lib/kb-loader.js).
+// =============================================================================
+const { t, dateLocale } = require("./i18n");
+const { buildLessonPlan } = require("./educator");
+
+// Used only when the KB has no `projects` catalogue yet — the projects that
+// were live when the list was last hardcoded.
+const DEFAULT_CATALOGUE = {
+  live: ["Hello World!", "Mood Lamp", "Game Controller", "Coin Counter", "Smart Box", "Musical Instrument", "Toll Booth", "Analog Meter", "DJ Nights", "Roll The Dice", "Table Fan", "Disco Lights", "Motion Activated Wave Sensor", "RGB Color Mixer", "The Fruit Game", "The Ping Pong Game", "The UFO Shooter Game", "The Extension Wire", "Light Intensity Meter", "Pulley LED", "Candle Lamp"],
+  plannedCount: 50,
+  cadence:      "One project per week shall be launched.",
+};
+
+function buildIndexes(kb, now = Date.now()) {
+  const projectCatalogue = extractProjectCatalogue(kb, now);
+  const projectNames     = projectCatalogue.filter((p) => p.status === "live").map((p) => p.name);
+  const projectsByName   = {};
+  const lessonsByProject = {};
+  for (const pName of projectNames) {
+    projectsByName[pName]   = extractProjectBlock(kb, pName);
+    lessonsByProject[pName] = extractLessons(kb, pName).sort((a, b) => lessonRank(a.lessonName) - lessonRank(b.lessonName));
+  }
+  const canonicalPinsText = extractCanonicalPins(kb);
+  const componentsMap     = extractComponentsMap(kb);
+  const portMappings      = extractPortMappings(canonicalPinsText, { projectNames, componentsMap });
+  const buildGuides       = Object.fromEntries(projectNames.map((pName) => [pName,
+    extractBuildGuide(kb, pName, { block: projectsByName[pName], lessons: lessonsByProject[pName], canonicalPinsText })]));
+  return {
+    projectNames, projectsByName, lessonsByProject, projectCatalogue, canonicalPinsText, componentsMap, portMappings, buildGuides,
+    projectAliases:      extractProjectAliases(kb, projectNames),
+    projectsByComponent: extractProjectsByComponent(kb, { projectNames, projectsByName, canonicalPinsText, componentsMap }),
+    lessonPlans:         Object.fromEntries(projectNames.map((pName) => [pName, buildLessonPlan(pName, {
+      block: projectsByName[pName], lessons: lessonsByProject[pName], guide: buildGuides[pName], rows: portMappings[pName] || [], entry: projectEntry(kb, pName),
+    })])),
+    safetyText:        extractSafety(kb),
+    kitOverview:       extractKitOverview(kb),
+    componentsSummary: extractComponentsSummary(kb),
+    projectsSummary:   extractProjectsSummary(kb, now),
+    supportConfig:     extractSupportConfig(kb),
+    troubleshootingTrees: extractTroubleshootingTrees(kb),
+    intentRules:       Array.isArray(kb?.intentRules) ? kb.intentRules : [],
+  };
+}
+
+/**
+ * Every project in the KB with its release status.
+ * Reads kb.projects (array of { name, status, releaseDate } or a map keyed by name).
+ * A project is live when status is "live" or its releaseDate has passed, so a
+ * scheduled weekly launch needs no KB edit or deploy. Undated projects without
+ * a status are treated as live. Live projects keep KB order; upcoming ones are
+ * sorted by release date (undated last).
+ */
+function extractProjectCatalogue(kb, now = Date.now()) {
+  const entries = readProjectEntries(kb).map((p) => {
+    const releaseAt = p.releaseDate ? Date.parse(p.releaseDate) : NaN;
+    const dated     = Number.isFinite(releaseAt);
+    const live      = p.status === "live" || (dated && releaseAt <= now) || (!p.status && !dated);
+    return { name: String(p.name).trim(), status: live ? "live" : "upcoming", releaseDate: p.releaseDate || null, releaseAt: dated ? releaseAt : null };
+  });
+  if (!entries.length) return DEFAULT_CATALOGUE.live.map((name) => ({ name, status: "live", releaseDate: null, releaseAt: null }));
+
+  const live     = entries.filter((p) => p.status === "live");
+  const upcoming = entries.filter((p) => p.status === "upcoming")
+    .sort((a, b) => (a.releaseAt ?? Infinity) - (b.releaseAt ?? Infinity));
+  return [...live, ...upcoming];
+}
+
+function readProjectEntries(kb) {
+  const raw = Array.isArray(kb?.projects)
+    ? kb.projects
+    : kb?.projects && typeof kb.projects === "object"
+      ? Object.entries(kb.projects).map(([name, p]) => ({ name, ...p }))
+      : [];
+  return raw.filter((p) => p?.name && String(p.name).trim());
+}
+
+/**
+ * Other names children use for each live project: { projectName: [alias, …] }.
+ * Merged from kb.projects[].aliases and the project page's `aliases`.
+ */
+function extractProjectAliases(kb, projectNames) {
+  const aliases = {};
+  for (const p of readProjectEntries(kb)) {
+    if (Array.isArray(p.aliases)) aliases[String(p.name).trim()] = [...p.aliases];
+  }
+  for (const page of Array.isArray(kb?.pages) ? kb.pages : []) {
+    if (page?.type !== "project" || !page.projectName || !Array.isArray(page.aliases)) continue;
+    const name = projectNames.find((n) => n.toLowerCase() === page.projectName.trim().toLowerCase()) || page.projectName.trim();
+    aliases[name] = uniq([...(aliases[name] || []), ...page.aliases]);
+  }
+  return aliases;
+}
+
+function extractProjectNames(kb, now = Date.now()) {
+  return extractProjectCatalogue(kb, now).filter((p) => p.status === "live").map((p) => p.name);
+}
+
+function extractKitOverview(kb) {
+  if (kb?.overview) {
+    const o = kb.overview;
+    const parts = [];
+    if (o.kitName)        parts.push(`Kit: ${o.kitName}`);
+    if (o.description)    parts.push(o.description);
+    if (o.whatIsInside)   parts.push(`\nWhat's Inside:\n${o.whatIsInside}`);
+    if (o.keyFeatures)    parts.push(`\nKey Features:\n${o.keyFeatures.map((f) => `- ${f}`).join("\n")}`);
+    if (o.totalProjects)  parts.push(`\nTotal Projects: ${o.totalProjects}`);
+    if (o.totalComponents) parts.push(`Total Components: ${o.totalComponents}`);
+    if (o.ageRange)       parts.push(`Age Range: ${o.ageRange}`);
+    return parts.join("\n");
+  }
+  return "The Robocoders Kit is an educational electronics and coding kit for children aged 8-14. It includes 21 exciting projects and 92 components to learn physical computing, Visual Block Coding, and creative project building.";
+}
+
+function extractComponentsSummary(kb) {
+  if (kb?.componentsSummary) return kb.componentsSummary;
+  if (kb?.glossary?.components) return { totalCount: Object.keys(kb.glossary.components).length, components: kb.glossary.components };
+  return { totalCount: 92, description: "The kit includes various sensors, actuators, LEDs, motors, structural components, and craft materials.", categories: {} };
+}
+
+/**
+ * Counts and schedule derived from the catalogue.
+ * totalCount is the number of LIVE projects (kept for older callers);
+ * plannedCount is the full line-up, from overview.totalProjects when it is larger.
+ * nextReleaseAt lets the KB loader rebuild indexes the moment a project goes live.
+ */
+function extractProjectsSummary(kb, now = Date.now()) {
+  const catalogue   = extractProjectCatalogue(kb, now);
+  const usesDefault = readProjectEntries(kb).length === 0;
+  const projectList = catalogue.filter((p) => p.status === "live").map((p) => p.name);
+  const upcoming    = catalogue.filter((p) => p.status === "upcoming").map(({ name, releaseDate, releaseAt }) => ({ name, releaseDate, releaseAt }));
+  const nextRelease = upcoming.find((p) => p.releaseAt) || null;
+  return {
+    totalCount:    projectList.length,
+    liveCount:     projectList.length,
+    plannedCount:  Math.max(Number(kb?.overview?.totalProjects) || 0, catalogue.length, usesDefault ? DEFAULT_CATALOGUE.plannedCount : 0),
+    projectList,
+    upcoming,
+    nextRelease,
+    nextReleaseAt: nextRelease?.releaseAt || null,
+    cadence:       kb?.overview?.releaseCadence || (usesDefault ? DEFAULT_CATALOGUE.cadence : null),
+  };
+}
+
+function extractSupportConfig(kb) {
+  if (kb?.support?.enabled) return kb.support;
+  return null;
+}
+
+/**
+ * kb.troubleshooting trees that can run: an id, nodes and a start node that
+ * exists (lib/troubleshooting). Broken trees are dropped with a warning.
+ */
+function extractTroubleshootingTrees(kb) {
+  if (!Array.isArray(kb?.troubleshooting)) return [];
+  return kb.troubleshooting.filter((tree) => {
+    const ok = tree?.id && tree.nodes && typeof tree.nodes === "object" && tree.nodes[tree.start];
+    if (!ok) console.warn(`Troubleshooting tree "${tree?.id}" skipped: needs id, nodes and a start node`);
+    return ok;
+  });
+}
+
+function extractComponentsMap(kb) {
+  if (kb?.glossary?.components) return kb.glossary.components;
+  const componentsMap = {};
+  if (Array.isArray(kb?.pages)) {
+    for (const page of kb.pages) {
+      if (page?.type === "component" && page?.componentId && page?.componentName) {
+        componentsMap[page.componentId] = { name: page.componentName, description: extractDescriptionFromText(page.text), id: page.componentId, aliases: page.aliases || [] };
+      }
+    }
+  }
+  return componentsMap;
+}
+
+/**
+ * Reverse index componentId → live project names that use it, in project order.
+ * Sources per project: its `componentsUsed` list (kb.projects, or the
+ * "Components Used:" section of its page) and its line in the fixed port
+ * mappings ("Mood Lamp: LDR -> Port 2, RGB LED -> Port 5"). Each entry is
+ * matched to the component whose name or id it mentions (longest name wins,
+ * so "RGB LED" is not also counted as "LED").
+ */
+function extractProjectsByComponent(kb, { projectNames, projectsByName, canonicalPinsText, componentsMap }) {
+  const matchers = componentTermMatchers(componentsMap);
+  const pinLines = canonicalPinsText.split("\n");
+
+  const index = {};
+  for (const name of projectNames) {
+    const entries = [...componentsUsedOf(kb, name, projectsByName[name])];
+    const lower   = name.toLowerCase();
+    for (const line of pinLines) {
+      if (line.toLowerCase().startsWith(`${lower}:`)) entries.push(...line.slice(name.length + 1).split(","));
+    }
+    for (const entry of entries) {
+      const hit = matchers.find((m) => m.re.test(entry.toLowerCase()));
+      if (!hit) continue;
+      const list = (index[hit.id] ||= []);
+      if (!list.includes(name)) list.push(name);
+    }
+  }
+  return index;
+}
+
+// Component name/id regexes, longest first, so "RGB LED" wins over "LED".
+function componentTermMatchers(componentsMap) {
+  return Object.entries(componentsMap)
+    .flatMap(([id, c]) => [c?.name, id].filter(Boolean).map((term) => ({ id, term: String(term).toLowerCase() })))
+    .sort((a, b) => b.term.length - a.term.length)
+    .map(({ id, term }) => ({ id, re: new RegExp(`(?:^|[^a-z0-9])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:$|[^a-z0-9])`) }));
+}
+
+/**
+ * The fixed port mappings as a table: { projectName: [{ label, component, port }] }.
+ * From lines like "Mood Lamp: LDR -> Port 2, RGB LED -> Port 5". label is the
+ * KB's wording, component the componentsMap id it names (null when the kit
+ * list has no such part) and port the bare port ("2", "M1").
+ */
+function extractPortMappings(canonicalPinsText, { projectNames, componentsMap }) {
+  const matchers = componentTermMatchers(componentsMap);
+  const table    = {};
+  for (const line of String(canonicalPinsText || "").split("\n")) {
+    const name = projectNames.find((n) => line.toLowerCase().startsWith(`${n.toLowerCase()}:`));
+    if (!name) continue;
+    for (const entry of line.slice(name.length + 1).split(",")) {
+      const [label, target] = entry.split(/\s*(?:->|→|=>)\s*/).map((x) => x.trim());
+      if (!label || !target) continue;
+      const port = normalizePort(target);
+      const hit  = matchers.find((m) => m.re.test(label.toLowerCase()));
+      (table[name] ||= []).push({ label, component: hit ? hit.id : null, port });
+    }
+  }
+  return table;
+}
+
+/** "Port 2", "port-2", "P2", "2" → "2"; "Port M1" → "M1". */
+function normalizePort(text) {
+  const s = String(text || "").trim();
+  const m = s.match(/^(?:port|p)?\s*[-#:.]?\s*(?:no\.?\s*)?([a-z]?\d+)$/i);
+  return m ? m[1].toUpperCase() : s;
+}
+
+function projectEntry(kb, projectName) {
+  return Array.isArray(kb?.projects) ? kb.projects.find((x) => x?.name === projectName) : kb?.projects?.[projectName];
+}
+
+// Lines of a "Heading:" section of a project page, list markers stripped.
+function sectionLines(block, heading) {
+  const section = String(block).match(new RegExp(`(?:^|\\n)\\s*${heading}:\\s*\\n([\\s\\S]*?)(?:\\n\\s*\\n|$)`, "i"));
+  return section ? section[1].split("\n").map((l) => l.replace(/^[\s\-*•\d.)]+/, "").trim()).filter(Boolean) : [];
+}
+
+function componentsUsedOf(kb, projectName, block = "") {
+  const p = projectEntry(kb, projectName);
+  if (Array.isArray(p?.componentsUsed)) return p.componentsUsed;
+  return sectionLines(block, "Components Used");
+}
+
+/**
+ * Guided build walkthrough for a project: [{ kind, text, lessons }].
+ * kind — "parts" (componentsUsed), "connections" (the project's connections,
+ * else its line in the fixed port mappings) or "build" (one per build step).
+ * Each step carries the lesson videos that fit it: all connection lessons for
+ * the wiring step, then build or coding lessons in order ("Build 1" with the
+ * first build step); a step past the last lesson of its kind reuses that one.
+ */
+function extractBuildGuide(kb, projectName, { block = "", lessons = [], canonicalPinsText = "" } = {}) {
+  const p     = projectEntry(kb, projectName);
+  const steps = Array.isArray(p?.steps) ? p.steps : sectionLines(block, "(?:Build )?Steps");
+  if (!steps.length) return [];
+
+  const byRank = (rank) => lessons.filter((l) => lessonRank(l.lessonName) === rank);
+  const queues = { build: byRank(2), coding: byRank(3) };
+  const taken  = { build: 0, coding: 0 };
+  const next   = (kind) => {
+    const key = queues[kind].length ? kind : "build";
+    if (!queues[key].length) return [];
+    return [queues[key][Math.min(taken[key]++, queues[key].length - 1)]];
+  };
+
+  const guide = [];
+  const parts = componentsUsedOf(kb, projectName, block);
+  if (parts.length) guide.push({ kind: "parts", text: parts.map((x) => `- ${x}`).join("\n"), lessons: [] });
+  const pinLine     = canonicalPinsText.split("\n").find((l) => l.toLowerCase().startsWith(`${projectName.toLowerCase()}:`));
+  const connections = Array.isArray(p?.connections) ? p.connections : sectionLines(block, "Connections");
+  const wiring      = connections.length ? connections : pinLine ? pinLine.slice(pinLine.indexOf(":") + 1).split(",").map((x) => x.trim()) : [];
+  if (wiring.length) guide.push({ kind: "connections", text: wiring.map((x) => `- ${x}`).join("\n"), lessons: byRank(1) });
+  for (const step of steps) {
+    const kind = /\b(?:code|coding|program|upload|blocks?)\b/i.test(step) ? "coding" : "build";
+    guide.push({ kind: "build", text: String(step).trim(), lessons: next(kind) });
+  }
+  return guide;
+}
+
+function extractDescriptionFromText(text) {
+  const match = String(text || "").match(/Description:\s*([^\n]+(?:\n(?!Component|Type|Usage)[^\n]+)*)/i);
+  return match ? match[1].trim() : "";
+}
+
+function extractProjectBlock(kb, projectName) {
+  if (Array.isArray(kb?.pages)) {
+    const norm  = (s) => s.toLowerCase();
+    const pNorm = norm(projectName);
+    for (const page of kb.pages) {
+      if (page?.type === "project" && norm(page.projectName || "") === pNorm) return sanitizeChunk(page.text || "");
+    }
+    const pages = kb.pages.map((pg) => (pg?.text ? String(pg.text) : "")).filter(Boolean);
+    let start = -1;
+    for (let i = 0; i < pages.length; i++) {
+      if (pages[i].toLowerCase().includes("project name") && pages[i].toLowerCase().includes(pNorm)) { start = i; break; }
+    }
+    if (start >= 0) return sanitizeChunk(pages.slice(start, start + 6).join("\n\n"));
+  }
+  const p = (kb?.projects && kb.projects[projectName]) || (Array.isArray(kb?.projects) ? kb.projects.find((x) => x?.name === projectName) : null);
+  if (p) {
+    const parts = [];
+    if (p.description)     parts.push(p.description);
+    if (p.componentsUsed)  parts.push("Components Used:\n" + p.componentsUsed.join("\n"));
+    if (p.connections)     parts.push("Connections:\n" + p.connections.join("\n"));
+    if (p.steps)           parts.push("Build Steps:\n" + p.steps.join("\n"));
+    return sanitizeChunk(parts.join("\n\n"));
+  }
+  return "";
+}
+
+function extractLessons(kb, projectName) {
+  if (Array.isArray(kb?.lessons) && kb.lessons.length > 0) {
+    const lessons = [];
+    for (const l of kb.lessons) {
+      if (l.project !== projectName) continue;
+      const links = Array.isArray(l.video_url) ? uniq(l.video_url.map((u) => String(u).trim())) : [String(l.video_url || "").trim()];
+      links.forEach((link, i) => { lessons.push({ lessonName: links.length > 1 ? `${l.lesson_name} - Part ${i + 1}` : l.lesson_name, videoLinks: [link], explainLine: "" }); });
+    }
+    return dedupeLessons(lessons);
+  }
+  const lessons = [];
+  if (Array.isArray(kb?.pages)) {
+    const pages   = kb.pages.map((pg) => (pg?.text ? String(pg.text) : ""));
+    const p       = projectName.toLowerCase();
+    let inProject = false;
+    for (let i = 0; i < pages.length; i++) {
+      const txt = pages[i];
+      const low = txt.toLowerCase();
+      if (low.includes("project:") || low.includes("project :") || low.includes("project name")) { inProject = low.includes(p); }
+      if (!inProject) continue;
+      const blocks = txt.split(/(Lesson ID\s*[:\-]|Build\s*\d+|Coding\s*Part\s*\d+)/i);
+      for (let b = 1; b < blocks.length; b++) {
+        const block      = blocks[b];
+        const lessonName = matchLine(block, /Lesson Name\s*(?:\(Canonical\))?\s*:\s*([^\n]+)/i) || matchLine(block, /(Build\s*\d+)/i) || matchLine(block, /(Coding\s*Part\s*\d+)/i) || "";
+        const links      = block.match(/https?:\/\/[^\s\]\)\}\n]+/gi) || [];
+        const explainLine = matchLine(block, /What this lesson helps with.*?:\s*([\s\S]*?)(?:When the AI|$)/i) || "";
+        if (lessonName && links.length) { lessons.push({ lessonName: lessonName.trim(), videoLinks: uniq(links), explainLine: cleanExplain(explainLine) }); }
+      }
+    }
+  }
+  return dedupeLessons(lessons);
+}
+
+function extractCanonicalPins(kb) {
+  if (Array.isArray(kb?.pages)) {
+    const pages = kb.pages.map((pg) => (pg?.text ? String(pg.text) : ""));
+    const idx   = pages.findIndex((t) => t.toLowerCase().includes("fixed port mappings"));
+    if (idx >= 0) return sanitizeChunk(pages.slice(idx, idx + 3).join("\n\n"));
+  }
+  return "";
+}
+
+function extractSafety(kb) {
+  if (Array.isArray(kb?.pages)) {
+    const pages = kb.pages.map((pg) => (pg?.text ? String(pg.text) : ""));
+    const idx   = pages.findIndex((t) => t.toLowerCase().includes("global safety"));
+    if (idx >= 0) return sanitizeChunk(pages.slice(idx, idx + 2).join("\n\n"));
+  }
+  return "";
+}
+
+// =============================================================================
+// Catalogue wording — shared by the LIST_PROJECTS / PROJECT_SCHEDULE replies
+// and the system prompts, so every place quotes the same numbers.
+// locale — "en" | "hi" | "hinglish" (lib/i18n); the KB's cadence text is used as is.
+// =============================================================================
+function formatReleaseDate(releaseDate, locale = "en") {
+  const at = Date.parse(releaseDate);
+  if (!Number.isFinite(at)) return String(releaseDate || "");
+  return new Date(at).toLocaleDateString(dateLocale(locale), { weekday: "long", day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function describeProjectCatalogue(summary, locale = "en") {
+  const parts = [summary.plannedCount > summary.liveCount
+    ? t(locale, "cataloguePartial", { planned: summary.plannedCount, live: summary.liveCount })
+    : t(locale, "catalogueAll", { live: summary.liveCount })];
+  if (summary.cadence) parts.push(summary.cadence);
+  if (summary.nextRelease) {
+    parts.push(t(locale, "catalogueNext", { name: summary.nextRelease.name, date: formatReleaseDate(summary.nextRelease.releaseDate, locale) }));
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Reply for the PROJECT_SCHEDULE intent ("what's the next project?", "when does X launch?").
+ * project — a catalogue name detected in the question, or null for the general schedule.
+ */
+function formatProjectSchedule(catalogue, summary, project, locale = "en") {
+  const entry = project ? catalogue.find((p) => p.name === project) : null;
+  if (entry?.status === "live") return t(locale, "scheduleLive", { name: entry.name });
+  if (entry) {
+    return entry.releaseDate
+      ? t(locale, "scheduleDated", { name: entry.name, date: formatReleaseDate(entry.releaseDate, locale), live: summary.liveCount })
+      : t(locale, "scheduleSoon", { name: entry.name });
+  }
+
+  const upcoming = summary.upcoming || [];
+  if (!upcoming.length) return `${describeProjectCatalogue(summary, locale)}\n\n${t(locale, "scheduleNoneUpcoming")}`;
+  const lines = upcoming.slice(0, 5).map((p, i) => `${i + 1}. ${p.name} — ${p.releaseDate ? formatReleaseDate(p.releaseDate, locale) : t(locale, "scheduleDateSoon")}`);
+  return `${describeProjectCatalogue(summary, locale)}\n\n${t(locale, "scheduleComingUp")}\n\n${lines.join("\n")}\n\n${t(locale, "scheduleOutro")}`;
+}
+
+// =============================================================================
+// Component replies — COMPONENT_INFO and "which projects use X?"
+// =============================================================================
+
+/**
+ * Deterministic COMPONENT_INFO reply from a componentsMap entry.
+ * projects — live projects using it (projectsByComponent), listed when known.
+ */
+function formatComponentInfo(component, projects = [], locale = "en") {
+  const lines = [`**${component.name}**\n`];
+  if (component.description) lines.push(component.description);
+  if (component.usage)       lines.push(`\n**${t(locale, "componentHowToUse")}**\n${component.usage}`);
+  if (component.ports)       lines.push(`\n**${t(locale, "componentConnectsTo")}**\n${component.ports}`);
+  if (projects.length)       lines.push(`\n**${t(locale, "componentUsedIn")}**\n${projects.map((p) => `- ${p}`).join("\n")}`);
+  return lines.join("\n");
+}
+
+/**
+ * Reply for COMPONENT_PROJECTS ("which projects use the servo?").
+ */
+function formatComponentProjects(component, projects = [], locale = "en") {
+  if (!projects.length) return t(locale, "componentProjectsNone", { name: component.name });
+  return t(locale, projects.length === 1 ? "componentProjectsOne" : "componentProjectsMany", { name: component.name, count: projects.length }) +
+    `\n\n${projects.map((p, i) => `${i + 1}. ${p}`).join("\n")}\n\n${t(locale, "componentProjectsOutro")}`;
+}
+
+// =============================================================================
+// Utility functions
+// =============================================================================
+function lessonRank(lessonName = "") {
+  const n = String(lessonName || "").toLowerCase();
+  if (n.includes("connection")) return 1;
+  if (n.includes("build"))      return 2;
+  if (n.includes("coding"))     return 3;
+  if (n.includes("working"))    return 4;
+  if (n.includes("intro"))      return 5;
+  return 99;
+}
+
+function sanitizeChunk(s) {
+  return String(s || "").replace(/\u0000/g, "").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+function matchLine(text, regex) {
+  const m = String(text || "").match(regex);
+  if (!m) return "";
+  return (m[1] || "").trim();
+}
+
+function uniq(arr) {
+  const out = [], seen = new Set();
+  for (const x of arr || []) { const k = String(x).trim(); if (!k || seen.has(k)) continue; seen.add(k); out.push(k); }
+  return out;
+}
+
+function cleanExplain(s) {
+  return String(s || "").replace(/\n+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function dedupeLessons(lessons) {
+  const out = [], seen = new Set();
+  for (const l of lessons || []) {
+    const key = (l.lessonName || "").toLowerCase() + "::" + (l.videoLinks || []).join(",");
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(l);
+  }
+  return out;
+}
+
+module.exports = {
+  buildIndexes,
+  extractProjectCatalogue,
+  extractProjectNames,
+  extractKitOverview,
+  extractComponentsSummary,
+  extractProjectsSummary,
+  extractSupportConfig,
+  extractTroubleshootingTrees,
+  extractComponentsMap,
+  extractProjectsByComponent,
+  extractProjectAliases,
+  extractBuildGuide,
+  extractPortMappings,
+  normalizePort,
+  extractProjectBlock,
+  extractLessons,
+  extractCanonicalPins,
+  extractSafety,
+  describeProjectCatalogue,
+  formatProjectSchedule,
+  formatComponentInfo,
+  formatComponentProjects,
+  formatReleaseDate,
+  sanitizeChunk,
+  uniq,
+};
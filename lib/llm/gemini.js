@@ -0,0 +1,79 @@
+// =============================================================================
+// Gemini adapter — chat/vision (generateContent), embeddings, Nano Banana images
+// All models go through the v1beta API.
+// =============================================================================
+const { postJson, readEventStream } = require("./http");
+
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+
+// Neutral content (string or [{ text } | { image: { mimeType, data } }]) → Gemini parts
+function toParts(content) {
+  if (typeof content === "string") return content ? [{ text: content }] : [];
+  return (content || []).map((p) => (p.image ? { inlineData: { mimeType: p.image.mimeType, data: p.image.data } } : { text: String(p.text || "") }));
+}
+
+function buildBody({ system, messages, temperature, maxOutputTokens, thinkingBudget }) {
+  const contents = [];
+  for (const m of messages) {
+    const parts = toParts(m.content);
+    if (parts.length) contents.push({ role: m.role === "assistant" ? "model" : "user", parts });
+  }
+  const body = { contents, generationConfig: { temperature, maxOutputTokens } };
+  if (thinkingBudget != null) body.generationConfig.thinkingConfig = { thinkingBudget };
+  if (system) body.systemInstruction = { parts: [{ text: system }] };
+  return body;
+}
+
+// Text of a candidate, skipping "thought" parts from thinking models.
+function candidateText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts.filter((p) => p.text && !p.thought).map((p) => p.text).join("");
+}
+
+async function chat({ apiKey, model, system, messages, temperature = 0.7, maxOutputTokens = 2000, thinkingBudget, onText }) {
+  const body = buildBody({ system, messages, temperature, maxOutputTokens, thinkingBudget });
+  if (!onText) {
+    const r = await postJson(`${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`, { body }, "Gemini API error");
+    return candidateText(await r.json()).trim();
+  }
+  const r = await postJson(`${GEMINI_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, { body }, "Gemini API error");
+  let full = "";
+  await readEventStream(r.body, (data) => {
+    const text = candidateText(data);
+    if (text) { full += text; onText(text); }
+  });
+  return full;
+}
+
+async function embed({ apiKey, model, input }) {
+  const r = await postJson(`${GEMINI_BASE_URL}/${model}:embedContent?key=${apiKey}`, {
+    body: { content: { parts: [{ text: input }] } },
+  }, "Gemini embedding error");
+  const data = await r.json();
+  return data.embedding.values;
+}
+
+// "1024x1536" → "2:3"; Gemini image models take an aspect ratio, not pixels.
+function aspectRatio(size) {
+  const [w, h] = String(size || "").split("x").map(Number);
+  if (!w || !h) return null;
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const g = gcd(w, h);
+  return `${w / g}:${h / g}`;
+}
+
+async function image({ apiKey, model, prompt, size }) {
+  // Nano Banana uses generateContent (NOT generateImages) with responseModalities
+  const generationConfig = { responseModalities: ["TEXT", "IMAGE"] };
+  const ratio = aspectRatio(size);
+  if (ratio) generationConfig.imageConfig = { aspectRatio: ratio };
+  const r = await postJson(`${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`, {
+    body: { contents: [{ role: "user", parts: [{ text: prompt }] }], generationConfig },
+  }, "Gemini image generation error");
+  const data = await r.json();
+  const imagePart = (data?.candidates?.[0]?.content?.parts || []).find((p) => p.inlineData?.data);
+  if (!imagePart) throw new Error(`${model} returned no image data.`);
+  return { imageBase64: imagePart.inlineData.data, mimeType: imagePart.inlineData.mimeType || "image/png" };
+}
+
+module.exports = { name: "gemini", envKey: "GEMINI_API_KEY", chat, embed, image };
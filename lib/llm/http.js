@@ -0,0 +1,65 @@
+// =============================================================================
+// HTTP helpers shared by the provider adapters
+// =============================================================================
+
+// Statuses worth retrying on the next model in a chain (overloaded, rate
+// limited, timed out). Other 4xx mean the request itself is wrong.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * POST JSON and return the Response. Non-2xx responses throw an Error carrying
+ * `status` and `retryable`; network failures throw with `retryable: true`.
+ * label — prefix for error messages, e.g. "Gemini API error"
+ */
+async function postJson(url, { headers = {}, body }, label) {
+  let r;
+  try {
+    r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    throw Object.assign(new Error(`${label}: ${err.message}`), { retryable: true });
+  }
+  if (!r.ok) {
+    const t = await r.text().catch(() => "");
+    throw Object.assign(new Error(`${label}: ${t.slice(0, 800)}`), { status: r.status, retryable: RETRYABLE_STATUSES.has(r.status) });
+  }
+  return r;
+}
+
+// Parse an SSE response body, calling onData with each `data:` JSON payload.
+// Lines that are not JSON are skipped; an error thrown by onData cancels the
+// stream and is rethrown.
+async function readEventStream(stream, onData) {
+  const reader  = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const handleLine = (line) => {
+    if (!line.startsWith("data:")) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === "[DONE]") return;
+    let data;
+    try { data = JSON.parse(payload); } catch (_) { return; /* partial or non-JSON keep-alive line */ }
+    onData(data);
+  };
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let nl;
+      while ((nl = buffer.indexOf("\n")) >= 0) {
+        handleLine(buffer.slice(0, nl).replace(/\r$/, ""));
+        buffer = buffer.slice(nl + 1);
+      }
+    }
+    handleLine(buffer + decoder.decode());
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { postJson, readEventStream, RETRYABLE_STATUSES };
@@ -0,0 +1,135 @@
+// =============================================================================
+// Provider-agnostic LLM layer — chat, vision, embeddings, image generation
+//
+// Every call names a chain: an ordered list of "provider:model" steps. The
+// first step that answers wins; a step is skipped when its provider has no API
+// key, and the next one is tried when a step fails with a network error,
+// 404 (model gone), 408, 429 or 5xx. A streaming chat only fails over before
+// its first token — after that the error is thrown to the caller.
+//
+// Chains are configured per endpoint purpose with env vars, no code changes:
+//   LLM_CHAIN_CHAT="gemini:gemini-3-flash-preview,gemini:gemini-2.5-flash,openai:gpt-4o-mini"
+//   LLM_CHAIN_IMAGE_GENERATE="openai:gpt-image-1,gemini:gemini-3.1-flash-image-preview"
+// (chain name upper-cased, "-" → "_"). Unset chains use DEFAULT_CHAINS.
+//
+// Embedding chains must stay on models with the vector index's dimension —
+// vectors from different embedding models are not comparable.
+//
+// Messages are provider-neutral: { role: "user" | "assistant", content },
+// content = string or [{ text } | { image: { mimeType, data } }] (base64 data).
+// thinkingBudget caps a Gemini thinking model's reasoning tokens (0 = off); on
+// those models thinking counts against maxOutputTokens, so a short structured
+// call can otherwise come back empty. Other providers ignore it.
+// =============================================================================
+const gemini = require("./gemini");
+const openai = require("./openai");
+
+const PROVIDERS = { gemini, openai };
+
+const DEFAULT_CHAINS = {
+  chat:                 "gemini:gemini-3-flash-preview, gemini:gemini-2.5-flash, openai:gpt-4o-mini",  // chat.js replies
+  planner:              "gemini:gemini-3-flash-preview, gemini:gemini-2.5-flash",                      // chat.js prompt planner
+  intent:               "gemini:gemini-2.5-flash, openai:gpt-4o-mini",                                 // chat.js intent fallback (lib/intents)
+  vision:               "gemini:gemini-2.5-flash, openai:gpt-4o-mini",                                 // Spin Genius pattern classifier
+  embed:                "openai:text-embedding-3-small",                                               // RAG query embeddings
+  image:                "gemini:gemini-3.1-flash-image-preview",                                       // chat.js ?type=image
+  playground:           "openai:gpt-4o-mini",
+  "playground-planner": "openai:gpt-4o-mini",
+  "playground-intent":  "openai:gpt-4o-mini",
+  "image-planner":      "openai:gpt-4o-mini",
+  "image-generate":     "openai:gpt-image-1",
+};
+
+function chainEnvName(name) {
+  return "LLM_CHAIN_" + name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+}
+
+/**
+ * Steps for a chain: [{ provider, model }], from env or DEFAULT_CHAINS.
+ */
+function resolveChain(name) {
+  const spec = process.env[chainEnvName(name)] || DEFAULT_CHAINS[name];
+  if (!spec) throw new Error(`Unknown LLM chain "${name}".`);
+  return spec.split(",").map((s) => s.trim()).filter(Boolean).map((step) => {
+    const i = step.indexOf(":");
+    const provider = i > 0 ? step.slice(0, i).trim().toLowerCase() : "";
+    const model    = i > 0 ? step.slice(i + 1).trim() : "";
+    if (!PROVIDERS[provider] || !model) {
+      throw new Error(`Bad step "${step}" in LLM chain "${name}". Use provider:model with provider ${Object.keys(PROVIDERS).join(" or ")}.`);
+    }
+    return { provider, model };
+  });
+}
+
+/**
+ * Error message when no step of the chain has an API key, else null.
+ * Lets handlers keep their "…_API_KEY is not set in env." 500s.
+ */
+function missingProviderKey(name) {
+  const keys = resolveChain(name).map((s) => PROVIDERS[s.provider].envKey);
+  return keys.some((k) => process.env[k]) ? null : `${keys[0]} is not set in env.`;
+}
+
+function canFailOver(err) {
+  return err.retryable || err.status === 404;
+}
+
+async function runChain(name, capability, args, onText) {
+  const steps = resolveChain(name);
+  let lastError = null;
+  for (let i = 0; i < steps.length; i++) {
+    const { provider, model } = steps[i];
+    const adapter = PROVIDERS[provider];
+    const apiKey  = process.env[adapter.envKey];
+    if (!apiKey) { lastError = new Error(`${adapter.envKey} is not set in env.`); continue; }
+
+    let streamed = false;
+    const relay  = onText && ((text) => { streamed = true; onText(text); });
+    try {
+      const result = await adapter[capability]({ ...args, apiKey, model, onText: relay });
+      if (i > 0) console.log(`LLM chain "${name}": used fallback ${provider}:${model}`);
+      return { result, provider, model };
+    } catch (err) {
+      lastError = err;
+      if (streamed || !canFailOver(err) || i === steps.length - 1) throw err;
+      console.warn(`LLM chain "${name}": ${provider}:${model} failed (${err.status || "network"}), trying ${steps[i + 1].provider}:${steps[i + 1].model}...`);
+    }
+  }
+  throw lastError || new Error(`LLM chain "${name}" has no steps.`);
+}
+
+/**
+ * Chat completion. onText(delta) turns on streaming; the full text is still returned.
+ * Returns { text, provider, model }.
+ */
+async function chat({ chain = "chat", system, messages, temperature, maxOutputTokens, thinkingBudget, onText }) {
+  const { result, provider, model } = await runChain(chain, "chat", { system, messages, temperature, maxOutputTokens, thinkingBudget }, onText);
+  return { text: result, provider, model };
+}
+
+/**
+ * Single-turn image + prompt call. image — { mimeType, data } (base64).
+ * Returns { text, provider, model }.
+ */
+async function vision({ chain = "vision", prompt, image, temperature = 0, maxOutputTokens = 80 }) {
+  return chat({ chain, messages: [{ role: "user", content: [{ text: prompt }, { image }] }], temperature, maxOutputTokens });
+}
+
+/**
+ * Returns { embedding, provider, model }.
+ */
+async function embed({ chain = "embed", input }) {
+  const { result, provider, model } = await runChain(chain, "embed", { input: String(input || "").trim() });
+  return { embedding: result, provider, model };
+}
+
+/**
+ * size — "WIDTHxHEIGHT" (OpenAI size, mapped to an aspect ratio for Gemini).
+ * Returns { imageBase64, mimeType, provider, model }.
+ */
+async function generateImage({ chain = "image", prompt, size }) {
+  const { result, provider, model } = await runChain(chain, "image", { prompt, size });
+  return { ...result, provider, model };
+}
+
+module.exports = { chat, vision, embed, generateImage, resolveChain, missingProviderKey, DEFAULT_CHAINS };
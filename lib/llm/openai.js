@@ -0,0 +1,61 @@
+// =============================================================================
+// OpenAI adapter — chat/vision (chat completions), embeddings, gpt-image images
+// =============================================================================
+const { postJson, readEventStream } = require("./http");
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+// Neutral content (string or [{ text } | { image: { mimeType, data } }]) → OpenAI content
+function toContent(content) {
+  if (typeof content === "string") return content;
+  return (content || []).map((p) => (p.image
+    ? { type: "image_url", image_url: { url: `data:${p.image.mimeType};base64,${p.image.data}` } }
+    : { type: "text", text: String(p.text || "") }));
+}
+
+async function chat({ apiKey, model, system, messages, temperature = 0.7, maxOutputTokens, onText }) {
+  const body = {
+    model,
+    temperature,
+    messages: [
+      ...(system ? [{ role: "system", content: system }] : []),
+      ...messages.map((m) => ({ role: m.role === "assistant" ? "assistant" : "user", content: toContent(m.content) })),
+    ],
+  };
+  if (maxOutputTokens) body.max_tokens = maxOutputTokens;
+  if (onText) body.stream = true;
+
+  const r = await postJson(`${OPENAI_BASE_URL}/chat/completions`, { headers: { Authorization: `Bearer ${apiKey}` }, body }, "OpenAI API error");
+  if (!onText) {
+    const data = await r.json();
+    return data?.choices?.[0]?.message?.content?.trim() || "";
+  }
+  let full = "";
+  await readEventStream(r.body, (data) => {
+    const text = data?.choices?.[0]?.delta?.content;
+    if (text) { full += text; onText(text); }
+  });
+  return full;
+}
+
+async function embed({ apiKey, model, input }) {
+  const r = await postJson(`${OPENAI_BASE_URL}/embeddings`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body:    { model, input },
+  }, "Embedding error");
+  const data = await r.json();
+  return data.data[0].embedding;
+}
+
+async function image({ apiKey, model, prompt, size = "1024x1024" }) {
+  const r = await postJson(`${OPENAI_BASE_URL}/images/generations`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body:    { model, prompt, size, n: 1 },
+  }, "Image API error");
+  const data = await r.json();
+  const b64  = data?.data?.[0]?.b64_json;
+  if (!b64) throw new Error(`${model} returned no image data.`);
+  return { imageBase64: b64, mimeType: "image/png" };
+}
+
+module.exports = { name: "openai", envKey: "OPENAI_API_KEY", chat, embed, image };
@@ -0,0 +1,295 @@
+// =============================================================================
+// Name matching — projects and components, tolerant of typos and aliases
+//
+// "mod lamp", "ping-pong", "ufo game", "servo moter" and "मूड लैंप" should all
+// land on the right KB entry. Every entry is matched through its name plus
+// its aliases (from the KB, and BUILTIN_COMPONENT_ALIASES for components):
+//   1. exact  — the whole name/alias appears in the text     → 1.0 / 0.95
+//   2. fuzzy  — each word of a name is compared with the text's words by
+//               edit distance (Damerau) or phonetic key; words are weighted
+//               by how rare they are among all names, so "ufo" counts for
+//               more than "game"                              → 0..0.9
+//   3. a word only one entry has ("coin", "mood"), typed exactly, in a name
+//      of one or two words                                   → ≥ 0.7
+// A match is accepted at MATCH_MIN_CONFIDENCE (default 0.6). The best
+// candidate is returned even below that, so debug can show near misses.
+//
+// Project names borrow everyday and kit-part words ("Pulley LED", "Table
+// Fan", "The Extension Wire"), and "what is an LED" is not about a project.
+// So for projects a COMMON_WORDS hit (kit parts and their spoken names, plus
+// generic nouns) never counts on its own — some other word of the name must
+// match too — and rule 3 only lifts a project just under the threshold: a
+// near miss that can be offered in a clarification, never accepted outright.
+//
+// Ranked candidates are close when two or more score at least
+// MATCH_AMBIGUITY_FLOOR (default 0.2) and near the best one: within
+// MATCH_AMBIGUITY_MARGIN (default 0.1) of an accepted best, or within
+// MATCH_AMBIGUITY_RATIO (default 0.6) of it when nothing was accepted —
+// "the game one" against four game projects. Exact and alias hits are
+// never ambiguous.
+// =============================================================================
+const { romanize, hasDevanagari } = require("./i18n");
+
+const MIN_CONFIDENCE   = Number(process.env.MATCH_MIN_CONFIDENCE || 0.6);
+const AMBIGUITY_MARGIN = Number(process.env.MATCH_AMBIGUITY_MARGIN || 0.1);
+const AMBIGUITY_FLOOR  = Number(process.env.MATCH_AMBIGUITY_FLOOR || 0.2);
+const AMBIGUITY_RATIO  = Number(process.env.MATCH_AMBIGUITY_RATIO || 0.6);
+
+const STOPWORDS = new Set(["the", "a", "an", "of", "and", "my", "to", "in", "for", "with"]);
+
+// Spoken names for kit parts, kept for KBs that do not list aliases yet.
+// Keyed by a word of the component name.
+const BUILTIN_COMPONENT_ALIASES = {
+  "robocoders brain": ["brain", "main board", "robocoders"],
+  "ir sensor":        ["infrared", "ir", "proximity sensor"],
+  "ldr":              ["light sensor", "light dependent resistor"],
+  "potentiometer":    ["knob", "pot", "dial"],
+  "servo motor":      ["servo"],
+  "dc motor":         ["motor"],
+  "rgb led":          ["rgb", "color led"],
+  "keys pcb":         ["keys", "buttons", "button panel"],
+};
+
+// Words that say nothing about which project is meant: every kit part and
+// spoken name above, and nouns any build may use.
+const COMMON_NOUNS = ["wire", "wires", "cable", "leds", "lights", "table", "box", "battery", "screw", "part", "parts", "thing", "kit", "project"];
+
+function normalize(text) {
+  const s = hasDevanagari(text) ? romanize(text) : String(text || "");
+  return s.toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function words(text) {
+  return normalize(text).split(" ").filter((w) => w && !STOPWORDS.has(w));
+}
+
+const COMMON_WORDS = new Set([...Object.entries(BUILTIN_COMPONENT_ALIASES).flat(2).flatMap(words), ...COMMON_NOUNS]);
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions).
+function editDistance(a, b) {
+  if (a === b) return 0;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// First letter + consonant skeleton: "color"/"kolor" → "klr", "lamp"/"laimp" → "lmp".
+function phoneticKey(word) {
+  const w = word.replace(/ph/g, "f").replace(/ck|q/g, "k").replace(/c/g, "k").replace(/x/g, "ks")
+    .replace(/z/g, "s").replace(/w/g, "v").replace(/gh(?=t)/g, "").replace(/(.)\1+/g, "$1");
+  return w[0] + w.slice(1).replace(/[aeiouyh]/g, "");
+}
+
+/**
+ * Similarity of two words, 0..1, and how it was reached.
+ * Below 0.7 counts as no match so short words do not pair up by accident.
+ */
+function wordSimilarity(a, b) {
+  if (a === b) return { sim: 1, via: "exact" };
+  const longer = Math.max(a.length, b.length);
+  if (Math.abs(a.length - b.length) > longer * 0.3 && phoneticKey(a) !== phoneticKey(b)) return { sim: 0, via: null };
+  let sim = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  let via = "fuzzy";
+  if (a.length > 2 && b.length > 2 && phoneticKey(a) === phoneticKey(b) && sim < 0.9) { sim = 0.9; via = "phonetic"; }
+  return sim >= 0.7 ? { sim, via } : { sim: 0, via: null };
+}
+
+/**
+ * Matcher over entries [{ key, names: [name, ...aliases] }] (first name is the
+ * display name).
+ *   rank(text, limit) → [{ key, confidence, via, term, accepted }] best first, one per key
+ *   match(text)       → rank(text)[0] | null
+ * commonWords — words that only count next to another match (see header);
+ * uniqueWordConfidence — the floor rule 3 lifts a candidate to.
+ */
+function createNameMatcher(entries, { minConfidence = MIN_CONFIDENCE, commonWords = new Set(), uniqueWordConfidence = 0.7 } = {}) {
+  const terms = [];
+  for (const { key, names } of entries) {
+    names.filter(Boolean).forEach((name, i) => {
+      const ws = words(name);
+      if (ws.length) terms.push({ key, term: String(name), alias: i > 0, phrase: ` ${ws.join(" ")} `, joined: ws.join(""), words: ws });
+    });
+  }
+  // Document frequency per word, counting each entry once.
+  const df = new Map();
+  for (const { key, names } of entries) {
+    for (const w of new Set(names.flatMap(words))) df.set(w, (df.get(w) || new Set()).add(key));
+  }
+  const idf = (w) => Math.log(1 + entries.length / (df.get(w)?.size || 1));
+
+  return {
+    minConfidence,
+    rank(text, limit = Infinity) {
+      const qWords = [...new Set(words(text))];
+      if (!qWords.length) return [];
+      const qPhrase = ` ${qWords.join(" ")} `;
+      const qJoined = new Set([...qWords, ...qWords.slice(1).map((w, i) => qWords[i] + w)]);
+
+      const bestByKey = new Map();
+      const consider = (cand) => {
+        const best = bestByKey.get(cand.key);
+        if (!best || cand.confidence > best.confidence || (cand.confidence === best.confidence && !cand.alias && best.alias)) bestByKey.set(cand.key, cand);
+      };
+      for (const t of terms) {
+        if (qPhrase.includes(t.phrase)) { consider({ ...t, confidence: t.alias ? 0.95 : 1, via: t.alias ? "alias" : "exact" }); continue; }
+
+        // Run-together words: "pingpong", "moodlamp"
+        if (t.words.length > 1 && t.joined.length > 5) {
+          for (const q of qJoined) {
+            const { sim } = wordSimilarity(q, t.joined);
+            if (sim >= 0.8) consider({ ...t, confidence: Math.min(sim, 0.9), via: "joined" });
+          }
+        }
+
+        let weighted = 0, total = 0, usedPhonetic = false, uniqueHit = false, telling = false;
+        for (const w of t.words) {
+          let bestSim = 0, bestVia = null, bestWord = null;
+          for (const q of qWords) {
+            const s = wordSimilarity(q, w);
+            if (s.sim > bestSim) { bestSim = s.sim; bestVia = s.via; bestWord = q; }
+          }
+          const weight = idf(w);
+          weighted += weight * bestSim;
+          total    += weight;
+          if (bestVia === "phonetic") usedPhonetic = true;
+          if (bestSim && !commonWords.has(bestWord) && !commonWords.has(w)) telling = true;
+          if (bestSim === 1 && w.length >= 3 && t.words.length <= 2 && df.get(w)?.size === 1 && !commonWords.has(w)) uniqueHit = true;
+        }
+        if (!weighted || !telling) continue;
+        // Never claim an exact match through fuzzy scoring.
+        let confidence = Math.min(0.9, weighted / total);
+        if (uniqueHit) confidence = Math.max(confidence, uniqueWordConfidence);
+        consider({ ...t, confidence, via: usedPhonetic ? "phonetic" : "fuzzy" });
+      }
+      return [...bestByKey.values()]
+        .map((c) => ({ key: c.key, confidence: Math.round(c.confidence * 100) / 100, via: c.via, term: c.term }))
+        .map((c) => ({ ...c, accepted: c.confidence >= minConfidence }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+    },
+    match(text) {
+      return this.rank(text, 1)[0] || null;
+    },
+  };
+}
+
+// Matchers are rebuilt only when the KB indexes change (new array/object identity).
+const matcherCache = new WeakMap();
+
+function cachedMatcher(owner, extra, build) {
+  let perOwner = matcherCache.get(owner);
+  if (!perOwner) matcherCache.set(owner, (perOwner = new Map()));
+  if (!perOwner.has(extra)) perOwner.set(extra, build());
+  return perOwner.get(extra);
+}
+
+const NO_ALIASES = Object.freeze({});
+
+function projectMatcher(projectNames, aliases) {
+  return cachedMatcher(aliases, projectNames.join("\n"), () =>
+    createNameMatcher(projectNames.map((name) => ({ key: name, names: [name, ...(aliases[name] || [])] })),
+      { commonWords: COMMON_WORDS, uniqueWordConfidence: Math.max(0, MIN_CONFIDENCE - 0.1) }));
+}
+
+function componentMatcher(componentsMap) {
+  return cachedMatcher(componentsMap, "", () => createNameMatcher(Object.entries(componentsMap)
+    .filter(([, c]) => c?.name)
+    .map(([id, c]) => ({ key: id, names: [c.name, ...(c.aliases || []), ...builtinAliases(c.name)] }))));
+}
+
+const asProject   = ({ key, ...m }) => ({ name: key, ...m });
+const asComponent = ({ key, ...m }) => ({ id: key, ...m });
+
+/**
+ * Best project for text. aliases — { projectName: [alias, …] } from the KB.
+ * Returns { name, confidence, via, term, accepted } | null.
+ */
+function matchProject(text, projectNames, aliases = NO_ALIASES) {
+  const m = projectMatcher(projectNames, aliases).match(text);
+  return m && asProject(m);
+}
+
+/**
+ * Best component for text, through each component's name, KB `aliases` and
+ * BUILTIN_COMPONENT_ALIASES. Returns { id, confidence, via, term, accepted } | null.
+ */
+function matchComponent(text, componentsMap) {
+  const m = componentMatcher(componentsMap).match(text);
+  return m && asComponent(m);
+}
+
+// Ranked candidates, best first — same shapes as matchProject/matchComponent.
+function rankProjects(text, projectNames, aliases = NO_ALIASES, limit = 5) {
+  return projectMatcher(projectNames, aliases).rank(text, limit).map(asProject);
+}
+
+function rankComponents(text, componentsMap, limit = 5) {
+  return componentMatcher(componentsMap).rank(text, limit).map(asComponent);
+}
+
+/**
+ * The candidates too close to call, or null when the best one stands out.
+ */
+function closeCandidates(ranked, { margin = AMBIGUITY_MARGIN, floor = AMBIGUITY_FLOOR, ratio = AMBIGUITY_RATIO } = {}) {
+  const [best] = ranked;
+  if (!best || best.confidence < floor || best.via === "exact" || best.via === "alias") return null;
+  const near  = best.accepted ? (c) => best.confidence - c.confidence <= margin : (c) => c.confidence >= best.confidence * ratio;
+  const close = ranked.filter((c) => c.confidence >= floor && near(c));
+  return close.length > 1 ? close : null;
+}
+
+// Ordinals for picking from a numbered list: "2", "the second one", "doosra wala".
+const ORDINALS = [
+  /^(?:1|first|1st|pehla|pehle|pahla)$/, /^(?:2|two|second|2nd|dusra|doosra|dusre)$/,
+  /^(?:3|three|third|3rd|teesra|tisra)$/, /^(?:4|four|fourth|4th|chautha|chotha)$/,
+  /^(?:5|five|fifth|5th|paanchva|panchva)$/,
+];
+const PICK_FILLER = new Set(["one", "wala", "vala", "wali", "number", "no", "option"]);
+
+/**
+ * Which of options ([{ label }]) a reply picks: by number/ordinal or by name.
+ * With only a few labels a weaker name match is enough, as long as it stands
+ * out ("the ufo one"). Returns the option or null.
+ */
+function pickOption(text, options) {
+  const ws = words(text).filter((w) => !PICK_FILLER.has(w));
+  if (ws.length === 1) {
+    const i = ORDINALS.findIndex((re) => re.test(ws[0]));
+    if (i >= 0 && i < options.length) return options[i];
+  }
+  const ranked = createNameMatcher(options.map((o, i) => ({ key: i, names: [o.label] }))).rank(text);
+  const [best] = ranked;
+  if (!best || best.confidence < AMBIGUITY_FLOOR) return null;
+  return best.accepted || !closeCandidates(ranked) ? options[best.key] : null;
+}
+
+function builtinAliases(name) {
+  const lower = String(name).toLowerCase();
+  return Object.entries(BUILTIN_COMPONENT_ALIASES).filter(([k]) => lower.includes(k)).flatMap(([, v]) => v);
+}
+
+module.exports = {
+  BUILTIN_COMPONENT_ALIASES,
+  COMMON_WORDS,
+  MIN_CONFIDENCE,
+  AMBIGUITY_MARGIN,
+  normalize,
+  editDistance,
+  phoneticKey,
+  createNameMatcher,
+  matchProject,
+  matchComponent,
+  rankProjects,
+  rankComponents,
+  closeCandidates,
+  pickOption,
+  builtinAliases,
+};
@@ -0,0 +1,247 @@
+// =============================================================================
+// Kid-safety moderation — inputs, retrieved context and model outputs
+//
+// Every route runs text through moderateText() at each stage:
+//   input   — what the child typed, or an image/video prompt
+//   context — retrieved RAG chunks (moderateChunks drops a chunk that hits)
+//   output  — what Gemini/OpenAI returned, before it reaches the child
+//             (a streamed reply goes through createOutputGuard sentence by
+//             sentence, so nothing unscreened is sent ahead of the check)
+// A hit on a blocking category returns a gentle refusal instead (screenText,
+// refusalText), and logModerationBlock() logs the route, stage and category —
+// never the text itself.
+// Personal info (phone numbers, emails, addresses, full names) is redacted
+// from whatever passes, except strings the caller allows (the KB's support
+// contact, for instance).
+//
+// Categories are merged by name: DEFAULT_CATEGORIES, then the JSON file at
+// MODERATION_CONFIG_PATH ({ "categories": { "drugs": { "disabled": true },
+// "custom": { "patterns": ["…"] } } }). A file entry replaces the default of
+// the same name. Patterns are regex sources, case-insensitive.
+// refusal picks the message: "selfHarm" points the child to a trusted adult.
+// =============================================================================
+const fs = require("fs");
+const { t } = require("./i18n");
+
+const DEFAULT_CATEGORIES = {
+  self_harm: {
+    refusal: "selfHarm",
+    patterns: [
+      "\\b(?:kill|hurt|harm|cut)\\s+my\\s?self\\b",
+      "\\bsuicid\\w*",
+      "\\bwant(?:s|ed)? to die\\b",
+      "\\bself[- ]harm\\b",
+      "\\bmarna chaht[aie]\\b",
+      "मरना चाहत",
+    ],
+  },
+  // Wanting or asking how to hurt someone — not "can the fan hurt my brother?",
+  // which is a safety question, or "shoot a photo of my friend" — and direct
+  // threats ("i will kill you")
+  violence: {
+    patterns: [
+      "\\b(?:i(?:'m| am)? (?:want to|wanna|going to|gonna|will|am going to)|how (?:do i|can i|to)|help me|let'?s)\\s+(?:kill|murder|stab|shoot(?!\\s+(?:an?\\s+|the\\s+)?(?:photos?|pic(?:ture)?s?|videos?|selfies?|films?|scenes?|hoops?|baskets?|goals?)\\b)|hurt|beat up|punch)\\b.{0,20}\\b(?:someone|somebody|people|person|my (?:brother|sister|friend|teacher|mom|mum|dad|parents|classmates?)|kids?|children)\\b",
+      "\\bi(?:'ll| will|'m going to| am going to|'m gonna| am gonna| gonna)\\s+(?:kill|murder|stab|shoot|hurt|beat up|punch)\\s+(?:you|u|him|her|them|everyone|everybody)\\b",
+      "\\b(?:tujhe|tumhe|tujhko|usko|use)\\s+(?:jaan se\\s+)?maar\\s*(?:dunga|dungi|daalunga|daalungi|dalunga)\\b",
+    ],
+  },
+  // Toy and craft builds ("a water gun", "a bath bomb") and sound effects ("a
+  // bomb sound") are not weapons
+  weapons: {
+    patterns: [
+      "\\b(?:make|build|create|buy)\\b.{0,30}(?<!\\b(?:water|toy|nerf|glue|paper|rubber[- ]band|bubble|foam|cardboard|lego|confetti|bath|seed|dart)[\\s-]+)\\b(?:bombs?|explosives?|guns?|pistols?|grenades?|weapons?)\\b(?![\\s-]+(?:sounds?|noises?|effects?|emojis?|beats?)\\b)",
+    ],
+  },
+  // Whole words and phrases only: "invisible to the naked eye" is optics
+  sexual: {
+    patterns: ["\\b(?:sex|sexy|sexting|porn|porno|pornography|nudes|nudity|xxx|boobs?|penis|vagina)\\b", "\\b(?:naked|nude)\\b(?![\\s-]+eyes?\\b)"],
+  },
+  // Taking or getting the stuff, not the smoke a smoke sensor is built to notice
+  drugs: {
+    patterns: [
+      "\\b(?:cocaine|heroin|marijuana|meth|ganja|get(?:ting)? high|vaping|daaru|daru|sharab)\\b",
+      "\\b(?:smoke|smoking|buy|buying|try|trying|drink|drinking|take|taking|sell|selling|want|wanna|get)\\s+(?:some\\s+|a\\s+|the\\s+)?(?:weed|cigarettes?|beers?|vodka|whisk(?:e)?y|alcohol|vapes?)\\b",
+      "शराब",
+    ],
+  },
+  profanity: {
+    patterns: ["\\b(?:fuck(?:s|ed|er|ers|ing)?|shit(?:s|ty)?|bullshit|bitch(?:es|y)?|bastards?|assholes?|sluts?|whores?|chutiya|madarchod|behenchod|bhosdi(?:ke|wale)?)\\b"],
+  },
+  // Hatred of a group of people, not of vegetables
+  hate: {
+    patterns: [
+      "\\b(?:neo-?)?nazis?\\b|\\bheil hitler\\b",
+      "\\b(?:hate|kill) all (?:the )?(?:muslims|hindus|christians|jews|sikhs|blacks|whites|gays|immigrants|foreigners|girls|boys|women|men|(?:\\p{L}+ )?people)\\b",
+    ],
+  },
+};
+
+// Personal info → placeholder. Order matters: emails before phone numbers.
+const PII_PATTERNS = [
+  { type: "email",   re: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  // Mobile, landline with its 0 + STD code ("022 2345 6789"), or international
+  { type: "phone",   re: /(?:\+?\d{1,3}[\s-]?)?(?<!\d)[6-9]\d{4}[\s-]?\d{5}(?!\d)|(?<![\d.])0\d{2,4}[\s-]?\d{3,4}[\s-]?\d{4}(?!\d)|\+\d{1,3}[\s-]?\d{6,12}(?!\d)/g },
+  // "I live in Mumbai" is only a city; with a house or flat number it is an address
+  { type: "address", re: /\b(?:i live at|my address is|mera address|(?:i live in|mera ghar)(?=[^.\n!?]*\d))\s+[^.\n!?]+/gi },
+  // House number + street: the words between may not be build-step words ("5 in the first lane")
+  { type: "address", re: /\b\d+[a-z]?,?\s+(?:(?!(?:in|on|at|to|into|of|the|a|an|and|or|from|first|second|third|next|last|each|every|port|step|steps|hole|holes)\b)[\p{L}]+\s+){1,3}(?:road|rd|street|st|lane|marg|nagar|colony|sector|apartments?|society)\b/giu },
+  { type: "address", re: /\b(?:pin\s?code|pincode|pin)(?:\s+is)?\s*[:-]?\s*\d{6}\b/gi },
+  { type: "name",    re: /\b(my (?:full )?name is|my name's|mera naam)\s+(?!(?:and|hai|is)\b)\p{L}+\s+(?!(?:and|hai|is)\b)\p{L}+/giu, keep: 1 },
+];
+
+function readConfigFile(path = process.env.MODERATION_CONFIG_PATH) {
+  if (!path) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path, "utf8"));
+    return parsed.categories || {};
+  } catch (err) {
+    console.warn(`Could not read moderation config from ${path}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Compile categories, skipping disabled ones and bad patterns (with a warning).
+ */
+function compileCategories(categories) {
+  const compiled = [];
+  for (const [name, cat] of Object.entries(categories)) {
+    if (!cat || cat.disabled) continue;
+    const patterns = [];
+    for (const source of cat.patterns || []) {
+      try { patterns.push(new RegExp(source, "iu")); }
+      catch (err) { console.warn(`Moderation pattern in "${name}" skipped: ${err.message}`); }
+    }
+    if (patterns.length) compiled.push({ name, refusal: cat.refusal || "default", patterns });
+  }
+  return compiled;
+}
+
+let compiledCategories = null;
+
+// Where a streamed sentence ends: . ! ? followed by whitespace, or a newline
+const SENTENCE_END = /[.!?](?=\s)|\n/g;
+
+function activeCategories() {
+  compiledCategories ||= compileCategories({ ...DEFAULT_CATEGORIES, ...readConfigFile() });
+  return compiledCategories;
+}
+
+/**
+ * Replace personal info with [email] / [phone] / [address] / [name].
+ * allow — exact strings to leave alone (e.g. the support phone number).
+ * Returns { text, redactions: { type: count } }.
+ */
+function redactPersonalInfo(text, { allow = [] } = {}) {
+  const keep       = new Set(allow.filter(Boolean).map(String));
+  const redactions = {};
+  let out = String(text || "");
+  for (const { type, re, keep: lead } of PII_PATTERNS) {
+    out = out.replace(re, (match, ...groups) => {
+      if (keep.has(match.trim())) return match;
+      redactions[type] = (redactions[type] || 0) + 1;
+      return lead ? `${groups[lead - 1]} [${type}]` : `[${type}]`;
+    });
+  }
+  return { text: out, redactions };
+}
+
+/**
+ * Check text against the blocking categories, then redact personal info.
+ * Returns { blocked, category, refusal, text, redactions }; when blocked,
+ * text is "" so nothing of it travels further by accident.
+ */
+function moderateText(text, { allow = [] } = {}) {
+  const raw = String(text || "");
+  for (const cat of activeCategories()) {
+    if (cat.patterns.some((re) => re.test(raw))) return { blocked: true, category: cat.name, refusal: cat.refusal, text: "", redactions: {} };
+  }
+  return { blocked: false, category: null, refusal: null, ...redactPersonalInfo(raw, { allow }) };
+}
+
+/** Kid-friendly refusal for a blocked category. */
+function refusalText(refusal, locale = "en") {
+  return t(locale, refusal === "selfHarm" ? "moderationSelfHarm" : "moderationBlocked");
+}
+
+/**
+ * One log line per block: route, stage, category and whatever ids help find
+ * it later. The blocked text itself is never logged.
+ */
+function logModerationBlock({ route, stage, category, ...ids }) {
+  console.warn(`[moderation] blocked ${JSON.stringify({ at: new Date().toISOString(), route, stage, category, ...ids })}`);
+}
+
+/**
+ * moderateText as a route uses it: a block is logged and text becomes the
+ * refusal. ids (sessionId, product, …) go into the log line.
+ * Returns { blocked, category, text, redactions }.
+ */
+function screenText(text, { route, stage, locale = "en", allow = [], ...ids }) {
+  const m = moderateText(text, { allow });
+  if (!m.blocked) return { blocked: false, category: null, text: m.text, redactions: m.redactions };
+  logModerationBlock({ route, stage, category: m.category, ...ids });
+  return { blocked: true, category: m.category, text: refusalText(m.refusal, locale), redactions: {} };
+}
+
+/**
+ * Output moderation for a streamed reply. push(delta) buffers the text and
+ * passes on, through onText, only what moderateText lets through (redacted),
+ * one finished sentence at a time; flush() releases the rest at the end.
+ * The whole reply so far is checked each time, so a pattern is seen the same
+ * way the final screenText sees it. Once a check blocks — or its redaction
+ * would rewrite text already sent — the guard goes quiet for good and the
+ * caller's final screenText decides what the child gets.
+ */
+function createOutputGuard(onText, { allow = [] } = {}) {
+  let raw = "", emitted = "", stopped = false;
+
+  const release = (upTo) => {
+    if (stopped || !upTo) return;
+    const m = moderateText(raw.slice(0, upTo), { allow });
+    if (m.blocked || !m.text.startsWith(emitted)) { stopped = true; return; }
+    const delta = m.text.slice(emitted.length);
+    emitted = m.text;
+    if (delta) onText(delta);
+  };
+
+  return {
+    push(delta) {
+      raw += delta || "";
+      let end = 0;
+      for (const b of raw.matchAll(SENTENCE_END)) end = b.index + b[0].length;
+      release(end);
+    },
+    flush() {
+      release(raw.length);
+    },
+  };
+}
+
+/**
+ * Retrieved chunks ([{ id, text, … }]) for the prompt: a chunk that hits a
+ * category is dropped (and logged), the rest are redacted.
+ * Returns { chunks, dropped: [{ id, category }] }.
+ */
+function moderateChunks(chunks, { route, allow = [], ...ids } = {}) {
+  const kept = [], dropped = [];
+  for (const chunk of chunks || []) {
+    const m = moderateText(chunk.text, { allow });
+    if (!m.blocked) { kept.push(m.text === chunk.text ? chunk : { ...chunk, text: m.text }); continue; }
+    dropped.push({ id: chunk.id, category: m.category });
+    logModerationBlock({ route, stage: "context", category: m.category, chunk: chunk.id, ...ids });
+  }
+  return { chunks: kept, dropped };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  compileCategories,
+  redactPersonalInfo,
+  moderateText,
+  refusalText,
+  logModerationBlock,
+  screenText,
+  createOutputGuard,
+  moderateChunks,
+};
@@ -0,0 +1,220 @@
+// =============================================================================
+// Rate limiting — per-client budgets for chat, vision, image and video
+//
+// Every request is counted against up to three keys, each with its own budget:
+//   origin  — the allowed site it came from, per client (origin + IP, or origin
+//             + session without an address): one visitor cannot spend a whole
+//             site's budget, and a site can be given a tighter one than ip
+//   ip      — the client address, as the proxy in front of us saw it (clientIp),
+//             across every allowed site
+//   session — body.sessionId, when it looks like one
+// and one capability:
+//   chat    — a chat or playground message
+//   vision  — the same with an image attached (classifier + vision calls)
+//   image   — Nano Banana image generation
+//   video   — a Veo job, with up to two minutes of polling
+// Counts are fixed windows: the first hit sets the key's expiry, and once any
+// key is over its budget the request gets a 429 with Retry-After (the longest
+// wait among the keys that are over) and a kid-friendly message.
+//
+// Budgets are BUDGETS below, merged per capability with the JSON in
+// RATE_LIMITS, e.g. '{ "video": { "ip": 1, "windowSeconds": 3600 } }'.
+// RATE_LIMIT_DISABLED=1 turns counting off.
+//
+// Store interface — the Redis commands it needs, so a Redis client (ioredis,
+// node-redis) can be passed to setRateLimitStore() as is:
+//   incr(key)          → count after incrementing (1 for a new key)
+//   expire(key, secs)  → 1
+//   ttl(key)           → seconds left, -1 without expiry, -2 when missing
+// RATE_LIMIT_STORE picks the built-in one:
+//   memory — per process (the default). On serverless every instance counts
+//            on its own, so the real budget is a multiple of the configured one.
+//   redis  — shared, over the Redis REST API of Upstash / Vercel KV. Needs
+//            KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL
+//            and UPSTASH_REDIS_REST_TOKEN).
+// A store error — including a misconfigured RATE_LIMIT_STORE — lets the
+// request through, with a warning: an outage should not lock children out.
+// =============================================================================
+const { t } = require("./i18n");
+const { isValidSessionId } = require("./sessions");
+
+const CAPABILITIES = ["chat", "vision", "image", "video"];
+const KEY_KINDS    = ["origin", "ip", "session"];
+
+const BUDGETS = {
+  chat:   { windowSeconds: 60,   origin: 30, ip: 30, session: 20 },
+  vision: { windowSeconds: 60,   origin: 10, ip: 10, session: 6 },
+  image:  { windowSeconds: 3600, origin: 10, ip: 10, session: 6 },
+  video:  { windowSeconds: 3600, origin: 3,  ip: 3,  session: 2 },
+};
+
+function readBudgets(raw = process.env.RATE_LIMITS) {
+  if (!raw) return BUDGETS;
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(CAPABILITIES.map((cap) => [cap, { ...BUDGETS[cap], ...(parsed[cap] || {}) }]));
+  } catch (err) {
+    console.warn(`Could not parse RATE_LIMITS: ${err.message}`);
+    return BUDGETS;
+  }
+}
+
+/**
+ * The client address. Assumes the app runs behind exactly one trusted proxy
+ * (Vercel's edge): x-vercel-forwarded-for is set by the platform, and
+ * otherwise the LAST x-forwarded-for hop is the one our proxy appended. The
+ * earlier hops come from the client and would let a caller rotate its key.
+ * Without a proxy header, the socket address.
+ */
+function clientIp(req) {
+  const platform = String(req.headers?.["x-vercel-forwarded-for"] || "").split(",")[0].trim();
+  if (platform) return platform;
+  const hops = String(req.headers?.["x-forwarded-for"] || "").split(",").map((h) => h.trim()).filter(Boolean);
+  return hops[hops.length - 1] || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Count one request for capability and report the first key over budget.
+ * Returns null when allowed, else { capability, kind, limit, retryAfter }.
+ */
+async function checkRateLimit({ capability, origin = null, ip = null, sessionId = null }, { store = null, budgets = readBudgets() } = {}) {
+  if (process.env.RATE_LIMIT_DISABLED === "1") return null;
+  const budget = budgets[capability];
+  if (!budget) throw new Error(`Unknown rate-limit capability: "${capability}".`);
+  const session = isValidSessionId(sessionId) ? sessionId : null;
+  const client  = ip || session;
+  const ids     = { origin: origin && client ? `${origin}|${client}` : null, ip, session };
+
+  let over = null;
+  try {
+    store = store || getRateLimitStore();
+    for (const kind of KEY_KINDS) {
+      const limit = Number(budget[kind]);
+      if (!ids[kind] || !(limit > 0)) continue;
+      const key   = `rl:${capability}:${kind}:${ids[kind]}`;
+      const count = await store.incr(key);
+      let ttl     = await store.ttl(key);
+      if (count === 1 || ttl < 0) { await store.expire(key, budget.windowSeconds); ttl = budget.windowSeconds; }
+      if (count > limit && (!over || ttl > over.retryAfter)) over = { capability, kind, limit, retryAfter: Math.max(1, ttl) };
+    }
+  } catch (err) {
+    console.warn(`Rate-limit store error, request allowed: ${err.message}`);
+    return null;
+  }
+  if (over) console.warn(`[rate-limit] exceeded ${JSON.stringify({ at: new Date().toISOString(), capability, kind: over.kind, limit: over.limit })}`);
+  return over;
+}
+
+/** checkRateLimit with the origin, IP and session taken from the request. */
+function limitRequest(req, { capability, sessionId = null }) {
+  return checkRateLimit({ capability, origin: req.headers?.origin || null, ip: clientIp(req), sessionId });
+}
+
+/**
+ * Send the 429 for a checkRateLimit result. field — the handler's message
+ * property ("error", or "message" in api/generate-image).
+ */
+function tooManyRequests(res, over, { locale = "en", field = "error" } = {}) {
+  res.setHeader("Retry-After", String(over.retryAfter));
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+  const minutes = Math.max(1, Math.ceil(over.retryAfter / 60));
+  return res.status(429).json({
+    [field]:     t(locale, over.capability === "video" || over.capability === "image" ? "rateLimitedCreate" : "rateLimited", { minutes }),
+    rateLimited: true,
+    capability:  over.capability,
+    retryAfter:  over.retryAfter,
+  });
+}
+
+// =============================================================================
+// Stores
+// =============================================================================
+function createMemoryRateLimitStore() {
+  const entries = new Map();   // key → { count, expiresAt }
+  const live = (key) => {
+    const e = entries.get(key);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) { entries.delete(key); return null; }
+    return e || null;
+  };
+  let calls = 0;
+  return {
+    kind: "memory",
+    async incr(key) {
+      // Expired keys are only dropped when read; sweep now and then so idle ones go too
+      if (++calls % 1000 === 0) for (const k of entries.keys()) live(k);
+      const e = live(key) || { count: 0, expiresAt: null };
+      e.count += 1;
+      entries.set(key, e);
+      return e.count;
+    },
+    async expire(key, seconds) {
+      const e = live(key);
+      if (!e) return 0;
+      e.expiresAt = Date.now() + seconds * 1000;
+      return 1;
+    },
+    async ttl(key) {
+      const e = live(key);
+      if (!e) return -2;
+      return e.expiresAt ? Math.ceil((e.expiresAt - Date.now()) / 1000) : -1;
+    },
+  };
+}
+
+// Upstash / Vercel KV: each command is POSTed as a JSON array, the reply is { result } or { error }.
+function createRestRateLimitStore({
+  url   = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+  token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+} = {}) {
+  if (!url || !token) throw new Error("KV_REST_API_URL / KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN) not set in env.");
+  const command = async (...args) => {
+    const r = await fetch(url, {
+      method:  "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body:    JSON.stringify(args),
+    });
+    let body = null;
+    try { body = await r.json(); } catch (_) {}
+    if (!r.ok || body?.error) throw new Error(`Redis ${args[0]} failed. status=${r.status} ${body?.error || ""}`.trim());
+    return body.result;
+  };
+  return {
+    kind: "redis",
+    incr:   (key) => command("INCR", key),
+    expire: (key, seconds) => command("EXPIRE", key, seconds),
+    ttl:    (key) => command("TTL", key),
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Process-wide store selected by RATE_LIMIT_STORE ("memory" | "redis"), unless
+ * one was installed with setRateLimitStore().
+ */
+function getRateLimitStore() {
+  if (defaultStore) return defaultStore;
+  const kind = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+  if (kind === "memory")     defaultStore = createMemoryRateLimitStore();
+  else if (kind === "redis") defaultStore = createRestRateLimitStore();
+  else throw new Error(`Unknown RATE_LIMIT_STORE: "${kind}". Use "memory" or "redis", or install a Redis client with setRateLimitStore().`);
+  return defaultStore;
+}
+
+/** Use store (anything with incr / expire / ttl, e.g. a Redis client) from now on. */
+function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  CAPABILITIES,
+  BUDGETS,
+  clientIp,
+  checkRateLimit,
+  limitRequest,
+  tooManyRequests,
+  createMemoryRateLimitStore,
+  createRestRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
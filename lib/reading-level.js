@@ -0,0 +1,156 @@
+// =============================================================================
+// Reading level — explanations pitched at the learner, not at "ages 8-14"
+//
+// A chat request may carry learnerAge (5-18) or readingLevel (school grade
+// 1-12, or "beginner" | "intermediate" | "advanced"); readingLevel wins when
+// both are sent. resolveReadingLevel() turns either into { grade, age, source }
+// (grade ≈ age - 5), and the system prompts use:
+//   audienceLine(level)       — who the model is talking to
+//   readingInstruction(level) — vocabulary and depth guidance for that grade
+//
+// After generation, readability(text, level, locale) scores the English reply
+// with the Flesch-Kincaid grade formula. A reply more than GRADE_TOLERANCE
+// grades above the target is tooHard, and the caller regenerates it once with
+// simplifyInstruction() added. Hindi and Hinglish are not scored (the formula's
+// syllable counts are English-only), so they are never regenerated.
+//
+// A streamed reply goes through createReadabilityGate(): the first
+// PREVIEW_WORDS words are held and scored, and only a preview that is not too
+// hard opens the stream. A hard preview keeps the whole reply buffered, so a
+// regeneration replaces it before the child has seen any of it.
+// =============================================================================
+
+const MIN_AGE         = 5;
+const MAX_AGE         = 18;
+const GRADE_TOLERANCE = 3;
+const PREVIEW_WORDS   = 40;
+
+const NAMED_LEVELS = { beginner: 2, intermediate: 5, advanced: 8 };
+
+const clampGrade = (g) => Math.min(12, Math.max(1, Math.round(g)));
+
+/**
+ * { grade, age, source } from body.learnerAge / body.readingLevel, null when
+ * neither is sent. Throws an Error with a client-facing message on bad input.
+ */
+function resolveReadingLevel({ learnerAge, readingLevel } = {}) {
+  if (readingLevel != null && readingLevel !== "") {
+    const named = NAMED_LEVELS[String(readingLevel).toLowerCase().trim()];
+    const grade = named || Number(readingLevel);
+    if (!Number.isInteger(grade) || grade < 1 || grade > 12) {
+      throw new Error(`Invalid readingLevel "${readingLevel}". Use a grade from 1 to 12, or "beginner", "intermediate" or "advanced".`);
+    }
+    return { grade, age: grade + 5, source: "readingLevel" };
+  }
+  if (learnerAge != null && learnerAge !== "") {
+    const age = Number(learnerAge);
+    if (!Number.isFinite(age) || age < MIN_AGE || age > MAX_AGE) {
+      throw new Error(`Invalid learnerAge "${learnerAge}". Use an age from ${MIN_AGE} to ${MAX_AGE}.`);
+    }
+    return { grade: clampGrade(age - 5), age: Math.round(age), source: "learnerAge" };
+  }
+  return null;
+}
+
+/** "children aged 8-14" by default, else the one learner the reply is for. */
+function audienceLine(level) {
+  if (!level) return "children aged 8-14";
+  return level.source === "learnerAge" ? `a child aged ${level.age}` : `a child reading at school grade ${level.grade}`;
+}
+
+/**
+ * System-prompt section with vocabulary and depth guidance for the grade
+ * ("" without a level, so the prompts read as before).
+ */
+function readingInstruction(level) {
+  if (!level) return "";
+  const head = `READING LEVEL: Write for ${audienceLine(level)} (about school grade ${level.grade}).`;
+  if (level.grade <= 3) {
+    return `${head} Use very short sentences (under 10 words) and everyday words. Explain one idea at a time. ` +
+      "If a technical word is needed (like \"sensor\"), explain it with something from home or school. At most 3-4 short points.";
+  }
+  if (level.grade <= 6) {
+    return `${head} Use short sentences and common words. Introduce at most two technical terms and explain each simply. ` +
+      "Give one example the child can relate to.";
+  }
+  return `${head} Use the proper technical terms (voltage, resistance, analog/digital, loops, conditions) with a short explanation, ` +
+    "explain why things work the way they do, and end with a small challenge to try.";
+}
+
+/**
+ * Extra system-prompt section for the one regeneration of a reply that came
+ * out too hard.
+ */
+function simplifyInstruction(level, score) {
+  return `SIMPLER, PLEASE: Your last answer read at about grade ${Math.round(score)}, far too hard for grade ${level.grade}. ` +
+    "Answer again with shorter sentences and simpler words. Keep every fact, port number and step — only make it easier to read.";
+}
+
+// Syllables in an English word: vowel groups, minus a silent final "e".
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").replace(/^y/, "").match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Flesch-Kincaid grade of English text, null when there is too little to score.
+ * Links, emoji and bullets are left out; each bullet or line counts as a sentence.
+ */
+function fleschKincaidGrade(text) {
+  const clean = String(text || "")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/^\s*(?:[-•*]|\d+[.)])\s+/gm, "")
+    .replace(/[^\p{L}\p{N}\s.!?'\n-]/gu, " ");
+  const sentences = clean.split(/[.!?]+(?:\s|$)|\n+/).filter((s) => /\p{L}/u.test(s)).length;
+  const words     = clean.match(/[A-Za-z][A-Za-z'-]*/g) || [];
+  if (!sentences || words.length < 10) return null;
+  const syl = words.reduce((n, w) => n + syllables(w), 0);
+  return Math.round((0.39 * (words.length / sentences) + 11.8 * (syl / words.length) - 15.59) * 10) / 10;
+}
+
+/**
+ * { target, score, tooHard } for a reply; score is null for Hindi/Hinglish or
+ * short text, and tooHard is then false.
+ */
+function readability(text, level, locale = "en") {
+  const score = locale === "en" ? fleschKincaidGrade(text) : null;
+  return { target: level?.grade ?? null, score, tooHard: !!level && score != null && score > level.grade + GRADE_TOLERANCE };
+}
+
+/**
+ * Wraps onText(delta) for a reply that may be regenerated. Text is held until
+ * it has PREVIEW_WORDS words; then, if readability() finds it not too hard,
+ * the held text and everything after it go to onText. Otherwise (and for a
+ * reply that ends before the preview is full) nothing is sent.
+ * Returns { push(delta), opened() }.
+ */
+function createReadabilityGate(onText, level, locale = "en") {
+  let held = "", state = "preview";   // preview → open | closed
+  return {
+    push(delta) {
+      if (!delta || state === "closed") return;
+      if (state === "open") return onText(delta);
+      held += delta;
+      if ((held.match(/[A-Za-z][A-Za-z'-]*/g) || []).length < PREVIEW_WORDS) return;
+      if (readability(held, level, locale).tooHard) { state = "closed"; return; }
+      state = "open";
+      onText(held);
+    },
+    opened: () => state === "open",
+  };
+}
+
+module.exports = {
+  GRADE_TOLERANCE,
+  PREVIEW_WORDS,
+  resolveReadingLevel,
+  audienceLine,
+  readingInstruction,
+  simplifyInstruction,
+  fleschKincaidGrade,
+  readability,
+  createReadabilityGate,
+};
@@ -0,0 +1,178 @@
+// =============================================================================
+// Hybrid retrieval — BM25 keyword scoring + vector similarity, fused with RRF
+//
+// Embeddings blur exact tokens: board codes ("12-J"), stick positions ("3-5"),
+// port numbers and component names. The keyword side indexes the same chunks
+// lib/ingest.js upserts (same ids), so a chunk found by both searches is one
+// result. Ranks are merged with reciprocal rank fusion:
+//   rrf = Σ 1 / (RRF_K + rank)   over the lists the chunk appears in
+// If the embedding or vector query fails, keyword results still come back.
+//
+// Filters are plain metadata matches — { field: value } or { field: [values] },
+// all fields must match — applied to both sides. filteredSearch() tries a list
+// of filter levels from narrowest to widest and stops once enough chunks came
+// back, so "Mood Lamp" questions get Mood Lamp chunks without starving the
+// prompt when the project has only one or two.
+// =============================================================================
+
+const RRF_K   = 60;
+const MIN_FILTERED_RESULTS = Number(process.env.RETRIEVAL_MIN_RESULTS || 3);
+const BM25_K1 = 1.2;
+const BM25_B  = 0.75;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how", "i", "in", "is", "it",
+  "me", "my", "of", "on", "or", "please", "show", "tell", "that", "the", "this", "to", "what", "which", "with", "you",
+]);
+
+/**
+ * Lowercased word tokens. Hyphenated codes are kept whole ("12-j", "3-5") and
+ * also split into their parts, so "board 12" still scores a "12-J" chunk.
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const word of String(text || "").toLowerCase().match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu) || []) {
+    if (STOPWORDS.has(word)) continue;
+    tokens.push(word);
+    if (word.includes("-")) {
+      for (const part of word.split("-")) if (/\d/.test(part) || part.length > 1) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * True when metadata satisfies every field of filter ({ field: value | [values] }).
+ * An empty or missing filter matches everything.
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([field, want]) => {
+    const have = metadata?.[field];
+    return Array.isArray(want) ? want.includes(have) : have === want;
+  });
+}
+
+/**
+ * BM25 index over chunks shaped like lib/ingest.js output: { id, text, metadata }.
+ * search(query, topK, filter) → [{ id, score, metadata }] best first, score > 0 only.
+ */
+function createKeywordIndex(chunks) {
+  const docs = chunks.map((chunk) => {
+    const tf = new Map();
+    const tokens = tokenize(chunk.text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { chunk, tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1) || 1;
+  const idf = (t) => Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+
+  return {
+    size: docs.length,
+    search(query, topK = 10, filter = null) {
+      const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+      if (!terms.length) return [];
+      const scored = [];
+      for (const d of docs) {
+        if (!matchesFilter(d.chunk.metadata, filter)) continue;
+        let score = 0;
+        for (const t of terms) {
+          const f = d.tf.get(t);
+          if (!f) continue;
+          score += idf(t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * d.length / avgLength));
+        }
+        if (score > 0) scored.push({ id: d.chunk.id, score, metadata: d.chunk.metadata });
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+    },
+  };
+}
+
+// One keyword index per namespace, rebuilt when its version (e.g. KB hash) changes.
+const indexCache = new Map();
+
+function keywordIndexFor(namespace, version, buildChunks) {
+  const cached = indexCache.get(namespace);
+  if (cached && cached.version === version) return cached.index;
+  const index = createKeywordIndex(buildChunks());
+  indexCache.set(namespace, { version, index });
+  return index;
+}
+
+const round = (n) => (n === null ? null : Math.round(n * 10000) / 10000);
+
+/**
+ * Run keyword and vector search and fuse them.
+ * embed(query) → vector; store — lib/vector-store interface.
+ * keywordQuery — text for the BM25 side (default: query), e.g. the child's own
+ * words alongside a planner rewrite so exact tokens are not lost.
+ * filter — metadata filter for both sides (see matchesFilter).
+ * Returns { hits: [{ id, metadata, scores: { rrf, vector, vectorRank, bm25, bm25Rank } }], vectorError }.
+ */
+async function hybridSearch({ namespace, query, keywordQuery = query, keywordIndex, store, embed, topK = 6, filter = null }) {
+  const pool = topK * 3;
+  const keywordHits = keywordIndex ? keywordIndex.search(keywordQuery, pool, filter) : [];
+
+  let vectorHits = [], vectorError = null;
+  try {
+    const vector = await embed(query);
+    vectorHits = await store.query({ vector, namespace, topK: pool, filter });
+  } catch (err) {
+    vectorError = err.message;
+  }
+
+  const merged = new Map();
+  const entry  = (hit) => {
+    if (!merged.has(hit.id)) merged.set(hit.id, { id: hit.id, metadata: hit.metadata, scores: { rrf: 0, vector: null, vectorRank: null, bm25: null, bm25Rank: null } });
+    return merged.get(hit.id);
+  };
+  vectorHits.forEach((hit, i) => {
+    const e = entry(hit);
+    Object.assign(e.scores, { vector: round(hit.score), vectorRank: i + 1 });
+    e.scores.rrf += 1 / (RRF_K + i + 1);
+  });
+  keywordHits.forEach((hit, i) => {
+    const e = entry(hit);
+    Object.assign(e.scores, { bm25: round(hit.score), bm25Rank: i + 1 });
+    e.scores.rrf += 1 / (RRF_K + i + 1);
+  });
+
+  const hits = [...merged.values()].sort((a, b) => b.scores.rrf - a.scores.rrf).slice(0, topK);
+  hits.forEach((h) => { h.scores.rrf = round(h.scores.rrf); });
+  return { hits, vectorError };
+}
+
+/**
+ * hybridSearch() over filter levels, narrowest first: [{ name, filter }, …].
+ * A level's hits are kept and the next level only tops them up, so a widened
+ * search still lists the scoped chunks first. Stops once minResults chunks are
+ * in hand; an unfiltered "none" level is always tried last. Each hit gets
+ * scores.level. The query embedding is computed once and reused.
+ * Returns { hits, vectorError, filterLevel, filter, tried: [{ level, filter, results }] }.
+ */
+async function filteredSearch({ levels = [], minResults = MIN_FILTERED_RESULTS, topK = 6, embed, ...search }) {
+  const all = [...levels.filter((l) => l.filter && Object.keys(l.filter).length), { name: "none", filter: null }];
+  let cached = null;
+  const embedOnce = (text) => (cached ||= embed(text));
+
+  const hits  = [];
+  const tried = [];
+  let vectorError = null, used = all[all.length - 1];
+  for (const level of all) {
+    const result = await hybridSearch({ ...search, embed: embedOnce, topK, filter: level.filter });
+    vectorError ||= result.vectorError;
+    tried.push({ level: level.name, filter: level.filter, results: result.hits.length });
+    for (const h of result.hits) {
+      if (hits.length >= topK || hits.some((x) => x.id === h.id)) continue;
+      h.scores.level = level.name;
+      hits.push(h);
+    }
+    used = level;
+    if (hits.length >= Math.min(minResults, topK)) break;
+  }
+  return { hits, vectorError, filterLevel: used.name, filter: used.filter, tried };
+}
+
+module.exports = { tokenize, matchesFilter, createKeywordIndex, keywordIndexFor, hybridSearch, filteredSearch };
@@ -0,0 +1,225 @@
+// =============================================================================
+// Conversation sessions — server-side turns + detected context
+//
+// Instead of resending the whole history, a client can pass `sessionId` to
+// api/chat.js. The session keeps the turns, the last detected project and
+// component, the last classified Spin Genius pattern, any clarifying
+// question still waiting for an answer (pending), the guided build in
+// progress (build: { project, step }), the troubleshooting tree being
+// walked (troubleshoot: { tree, node }), a support ticket still being
+// filled in (ticket, lib/tickets — its photo and parent contact live in the
+// ticket stash, not here), and the learner's reading level and the
+// persona ("kid" | "educator" | "parent") once a request has sent them
+// (reading, lib/reading-level; persona, lib/educator).
+//
+// Store interface (all methods async, so a remote store can slot in later):
+//   get(id)          → session | null
+//   save(session)    → session
+//   list({ limit })  → [summary]  (newest first, without turns)
+//   delete(id)       → true if something was removed
+//
+// Implementations: memory (default) and file (one JSON file per session in
+// SESSION_DIR, default /tmp/becre8v-sessions). Select with SESSION_STORE.
+// The memory store forgets a session SESSION_TTL_MS (default 24 h) after its
+// last save, and beyond SESSION_MAX_COUNT (default 1000) sessions drops the
+// least recently used one.
+//
+// Both stores are per process (the file store's /tmp is per instance too).
+// On a serverless deploy api/sessions and api/chat run as separate functions,
+// so a session created by POST /api/sessions may be unknown where the chat
+// request lands: api/chat then starts a fresh session under the id it was
+// sent rather than failing. Turns and context only carry over between
+// requests that reach the same instance — install a shared store
+// (setSessionStore, e.g. one backed by KV/Redis) for that to hold everywhere.
+// =============================================================================
+const crypto = require("crypto");
+const fs     = require("fs/promises");
+const path   = require("path");
+const { summarizeTicketDraft } = require("./tickets");
+
+const DEFAULT_MAX_TURNS = 40;
+const DEFAULT_TTL_MS    = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_COUNT = 1000;
+const SESSION_ID_RE     = /^[A-Za-z0-9_-]{8,64}$/;
+
+function positiveEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const maxTurns = () => positiveEnv("SESSION_MAX_TURNS", DEFAULT_MAX_TURNS);
+
+function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_RE.test(id);
+}
+
+/** A new, empty session. id — keep a client-known id instead of a fresh UUID. */
+function newSession({ product = "robocoders", id = crypto.randomUUID() } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    product,
+    createdAt: now,
+    updatedAt: now,
+    turns:     [],
+    context:   { project: null, component: null, pattern: null, locale: null, pending: null, build: null, troubleshoot: null, ticket: null, reading: null, persona: null },
+  };
+}
+
+// An open ticket draft shows only what it is about, not the order id or the stash refs.
+function summarizeSession(session) {
+  return {
+    id:        session.id,
+    product:   session.product,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turnCount: session.turns.length,
+    context:   { ...session.context, ticket: summarizeTicketDraft(session.context.ticket) },
+  };
+}
+
+/**
+ * Append one user/assistant exchange, keeping only the newest SESSION_MAX_TURNS turns.
+ * Attachments are not stored — only a flag that one was sent.
+ */
+function appendExchange(session, { userText, attachment, replyText }) {
+  const at = new Date().toISOString();
+  session.turns.push({ role: "user", content: String(userText || ""), ...(attachment ? { attachment: true } : {}), at });
+  if (replyText) session.turns.push({ role: "assistant", content: String(replyText), at });
+  const limit = maxTurns();
+  if (session.turns.length > limit) session.turns = session.turns.slice(-limit);
+  session.updatedAt = at;
+  return session;
+}
+
+// Merge detected context; null/undefined values never erase what we already know.
+function rememberContext(session, values) {
+  if (!session) return;
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== null && value !== undefined) session.context[key] = value;
+  }
+}
+
+// Drop context keys on purpose (rememberContext never erases).
+function forgetContext(session, ...keys) {
+  if (!session) return;
+  for (const key of keys) session.context[key] = null;
+}
+
+// =============================================================================
+// Store implementations
+// =============================================================================
+// The Map is kept in least-recently-used order: get() and save() move a session
+// to the end, so eviction takes from the front.
+function createMemorySessionStore({ ttlMs = positiveEnv("SESSION_TTL_MS", DEFAULT_TTL_MS), maxCount = positiveEnv("SESSION_MAX_COUNT", DEFAULT_MAX_COUNT) } = {}) {
+  const sessions = new Map();   // id → { session, expiresAt }
+  const clone = (s) => JSON.parse(JSON.stringify(s));
+  const live  = (id) => {
+    const e = sessions.get(id);
+    if (e && e.expiresAt <= Date.now()) { sessions.delete(id); return null; }
+    return e || null;
+  };
+  const sweep = () => { for (const id of sessions.keys()) live(id); };
+  return {
+    kind: "memory",
+    async get(id) {
+      const e = live(id);
+      if (!e) return null;
+      sessions.delete(id);
+      sessions.set(id, e);
+      return clone(e.session);
+    },
+    async save(s) {
+      sessions.delete(s.id);
+      sessions.set(s.id, { session: clone(s), expiresAt: Date.now() + ttlMs });
+      if (sessions.size > maxCount) sweep();
+      for (const id of sessions.keys()) {
+        if (sessions.size <= maxCount) break;
+        sessions.delete(id);
+      }
+      return s;
+    },
+    async delete(id) { return !!live(id) && sessions.delete(id); },
+    async list({ limit = 50 } = {}) {
+      sweep();
+      return [...sessions.values()].map((e) => e.session)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit)
+        .map(summarizeSession);
+    },
+  };
+}
+
+function createFileSessionStore({ dir = process.env.SESSION_DIR || "/tmp/becre8v-sessions" } = {}) {
+  const fileFor = (id) => {
+    if (!isValidSessionId(id)) throw new Error("Invalid session id.");
+    return path.join(dir, `${id}.json`);
+  };
+  const read = async (file) => {
+    try { return JSON.parse(await fs.readFile(file, "utf8")); }
+    catch (err) { if (err.code === "ENOENT") return null; throw err; }
+  };
+  return {
+    kind: "file",
+    async get(id) {
+      return isValidSessionId(id) ? read(fileFor(id)) : null;
+    },
+    async save(s) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(s.id);
+      const tmp  = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(s));
+      await fs.rename(tmp, file);
+      return s;
+    },
+    async delete(id) {
+      if (!isValidSessionId(id)) return false;
+      try { await fs.unlink(fileFor(id)); return true; }
+      catch (err) { if (err.code === "ENOENT") return false; throw err; }
+    },
+    async list({ limit = 50 } = {}) {
+      let names;
+      try { names = await fs.readdir(dir); }
+      catch (err) { if (err.code === "ENOENT") return []; throw err; }
+      const sessions = (await Promise.all(names.filter((n) => n.endsWith(".json")).map((n) => read(path.join(dir, n)))))
+        .filter(Boolean);
+      return sessions
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit)
+        .map(summarizeSession);
+    },
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Process-wide store selected by SESSION_STORE ("memory" | "file"), unless one
+ * was installed with setSessionStore().
+ */
+function getSessionStore() {
+  if (defaultStore) return defaultStore;
+  const kind = (process.env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "file")        defaultStore = createFileSessionStore();
+  else if (kind === "memory") defaultStore = createMemorySessionStore();
+  else throw new Error(`Unknown SESSION_STORE: "${kind}". Use "memory" or "file".`);
+  return defaultStore;
+}
+
+/** Use store (anything with the interface above) from now on. */
+function setSessionStore(store) {
+  defaultStore = store;
+}
+
+module.exports = {
+  newSession,
+  summarizeSession,
+  appendExchange,
+  rememberContext,
+  forgetContext,
+  isValidSessionId,
+  createMemorySessionStore,
+  createFileSessionStore,
+  getSessionStore,
+  setSessionStore,
+};
@@ -0,0 +1,170 @@
+// =============================================================================
+// Spin Genius pattern data — used by api/chat.js (pattern images, classifier
+// lookups) and lib/ingest.js (configuration chunks).
+//
+// Pattern name lookup table — ALL 50 patterns, shape-based names ONLY
+// Rules:
+//   1. NO color words (no golden, pink, green, dark, black etc.)
+//   2. Specific multi-word phrases listed before short single words
+//   3. 12-J listed BEFORE 10-A so "net","grid","mesh" match garden net first
+//   4. findImageByPatternName sorts names by length desc so longer phrases win
+//   5. For duplicate board positions (e.g. 10-Q, 9-B), both stickPositions map
+//      to the same image filename — image naming is handled by the knowledge base
+// =============================================================================
+const PATTERN_NAME_MAP = [
+  // ── RING / CHAIN PATTERNS ──────────────────────────────────────────────────
+  { image: "3-D.jpeg",  names: ["magic bubble chain","bubble ring chain","bubble chain","chain of linked loops","chain of rings","linked ring chain","loopy chain","bubble ring","ring chain"] },
+  { image: "1-E.jpeg",  names: ["soapy bubble garland","floating bubble ring","bubble garland","soapy ring","ring of circles","bubble circles","garland of bubbles"] },
+  { image: "2-F.jpeg",  names: ["soap bubble ring","bubble dream ring","faint bubble ring","tiny soap bubbles","gentle bubble ring","quiet bubble ring","dream bubble","soap bubbles floating"] },
+  { image: "9-O.jpeg",  names: ["bird nest ring","cozy bird nest","delicate circle ring","nest of circles","dancing circles ring","thin loop ring","bird nest"] },
+
+  // ── NET / GRID PATTERNS — listed before 10-A so "net","grid","mesh" match first ──
+  { image: "12-J.jpeg", names: ["magic garden fence","secret garden net","circular grid","circular net","circular mesh","woven circle","garden fence","garden net","fishing net","grid pattern","net pattern","mesh pattern","lattice pattern","woven fence","square grid","grid","net","lattice","mesh","woven"] },
+
+  // ── CROWN / LACE PATTERNS ──────────────────────────────────────────────────
+  { image: "6-N.jpeg",  names: ["royal crown lace","princess lace crown","lace crown","lace border","open center crown","fancy lace pattern","crown pattern","lace pattern","crown","lace"] },
+  { image: "4-N.jpeg",  names: ["fancy lace tablecloth","lace tablecloth","lace ring","wavy lace","tablecloth lace","lace weave","fancy lace ring","wavy loop ring","tablecloth"] },
+  { image: "6-Q.jpeg",  names: ["bunny ear ring","bunny ears circle","tall thin loops","upright loop ring","tall loop ring","bunny ears","tall loops circle","bunny ear"] },
+  { image: "4-H.jpeg",  names: ["lacy flower ring","lacy donut ring","lacy ring","lace flower ring","tiny loops ring","hundreds of loops","fancy donut ring","lacy circle","lace donut"] },
+
+  // ── FLOWER PATTERNS ────────────────────────────────────────────────────────
+  { image: "7-J.jpeg",  names: ["happy little flower","petal flower","bouncy flower","overlapping petals","loopy petals","rosette pattern","loopy flower","flower pattern","floral pattern","small flower","compact flower","flower","rosette","petals"] },
+  { image: "1-P.jpeg",  names: ["blooming rose","bold rose","large petal flower","big petal flower","rose pattern","overlapping rose petals","rose bloom","bold flower"] },
+  { image: "14-I.jpeg", names: ["blooming sunburst","garden sunburst","soft petal sunburst","symmetrical sunburst","blooming garden flower","spinning flower","sunburst flower","garden flower"] },
+  { image: "7-C.jpeg",  names: ["fairy stamp flower","eight petal flower","lucky flower","eight petals","eight round petals","stamp flower","clean flower stamp","simple eight petal"] },
+  { image: "2-C.jpeg",  names: ["crystal ball flower","secret crystal garden","magical crystal flower","crystal garden","flower inside crystal","tiny garden flower","crystal ball","hidden flower","secret garden inside"] },
+  { image: "3-L.jpeg",  names: ["birthday cake swirl","swirling petals","cake decoration swirl","swirling flower","curving petals","calm whirlpool petals","fancy petal swirl","swirl petals"] },
+  { image: "3-C.jpeg",  names: ["geometric puzzle bloom","puzzle flower","neat geometric flower","round puzzle loops","geometric bloom","puzzle loops flower","tidy bloom","puzzle pieces flower"] },
+  { image: "14-H.jpeg", names: ["dandelion dream","dandelion petals","skinny dandelion loops","long petal dandelion","dandelion flower","long skinny petals","morning sun petals","dandelion"] },
+  { image: "9-M.jpeg",  names: ["spinning hula hoop","vibrant hula hoop","hula hoop ring","energetic ring","bouncy vibrant ring","hula ring","vibrant ring","hula hoop"] },
+
+  // ── SPIDERWEB / MANDALA ─────────────────────────────────────────────────────
+  { image: "10-A.jpeg", names: ["shining spiderweb","spiderweb mandala","spiral web like structure","spiral web like","spiral web","web like structure","web-like structure","radiating lines","diamond gaps","diamond shapes","starburst pattern","mandala pattern","spoke pattern","diamond web","web pattern","spider web","spiderweb","web structure","starburst","mandala"] },
+  { image: "7-B.jpeg",  names: ["artist spider star","spiderweb star","large loop star","loops crossing middle","spiderweb loops","large crossing loops","artist spider","simple spiderweb star"] },
+  { image: "11-A.jpeg", names: ["royal thread crown","crown of light","thread crown","crossing lines circle","glowing ring crown","shiny thread ring","straight crossing circle","crown of threads"] },
+
+  // ── DENSE / SOLID RING ──────────────────────────────────────────────────────
+  { image: "3-R.jpeg",  names: ["spinning galaxy swirl","dense whirlpool","fuzzy donut","dense donut","packed spiral","solid ring","solid donut","tightly packed lines","thick donut","thick ring","whirlpool pattern","donut pattern","whirlpool","galaxy swirl","vortex","swirl"] },
+  { image: "11-L.jpeg", names: ["giant bold donut","giant donut","solid thick ring","bold donut ring","thick ring with hole","big donut","bold ring","strong donut","giant ring"] },
+  { image: "15-A.jpeg", names: ["spinning scribble wheel","fuzzy tire","scribble wheel","messy circle tire","tire scribbles","dense messy circle","fuzzy wheel","spinning wheel scribble"] },
+  { image: "G-6.jpeg",  names: ["glowing magic coin","spinning badge","magic coin","glowing badge","thread sun","squeezed center badge","glowing coin","tiny spinning sun","badge coin"] },
+  { image: "16-O.jpeg", names: ["deep sea shell","spiraling seashell","seashell tunnel","deep tunnel spiral","busy seashell","spiral seashell","tunnel seashell","deep spiral","seashell"] },
+  { image: "12-C.jpeg", names: ["happy glowing sun","glowing sun","solid sun center","rays all directions","packed sun","dense sun pattern","glowing rays","solid bright sun"] },
+
+  // ── STAR PATTERNS ──────────────────────────────────────────────────────────
+  { image: "8-A.jpeg",  names: ["magic thread snowflake","magic snowflake star","thin star snowflake","delicate snowflake star","snowflake star","magic thread star","thin star","magic snowflake"] },
+  { image: "10-R.jpeg", names: ["magic castle window","castle star window","star window castle","steady star castle","straight line star","strong star","castle window","balanced star"] },
+  { image: "10-Q-1.jpeg", names: ["ancient mystery star","triangle star","overlapping triangles star","geometric triangle star","mystery star","triangle circle","triangles in circle"] },
+  { image: "10-Q-2.jpeg", names: ["night air sparkle","spinning sparkle","thin rotating points","thin sharp sparkle","fast spinning star","sparkle star","rotating sparkle"] },
+  { image: "6-L.jpeg",  names: ["beautiful tangle","tangle star","complex crossing star","neat tangle","detailed crossing star","crossing line star","complex star tangle","tangle pattern"] },
+  { image: "9-B-1.jpeg",  names: ["treasure map star","compass star","explorer star","long thin star points","skinny star","compass rose star","twinkling compass","star compass","skinny star points"] },
+  { image: "4-P.jpeg",  names: ["royal star crown","star crown","pointy star crown","star crown border","triangular crown","sharp triangle crown","king queen crown star","crown star"] },
+  { image: "2-J.jpeg",  names: ["star bicycle wheel","star wheel","bicycle wheel stars","thin crisp star ring","neat star ring","round star path","bicycle wheel","star ring"] },
+  { image: "15-Q.jpeg", names: ["dancing loop ring","criss cross loop ring","criss crossing loops","magical loop ring","hundreds of tiny loops","criss cross ring","loop dance ring","dancing loops circle"] },
+  { image: "9-B-2.jpeg",  names: ["explorer medal","double star knot","two stars tied","two stars knot","brave explorer medal","double star","medal star","explorer medal star"] },
+
+  // ── SPIRAL / SWIRL / CURVES ─────────────────────────────────────────────────
+  { image: "4-C.jpeg",  names: ["candy swirl","lollipop spiral","lollipop candy","sweet spiral","converging spiral","candy shop spiral","lollipop pattern","candy lollipop"] },
+  { image: "5-L.jpeg",  names: ["deep ocean swirl","ocean whirlpool","bold wave swirl","ocean wave circle","swooping wave circle","water whirlpool","ocean swirl","bold waves","wave circle"] },
+  { image: "16-L.jpeg", names: ["giant snowflake","magical snowflake","smooth snowflake","sweeping snowflake curves","flowy snowflake","giant flowy snowflake","large snowflake","smooth curves snowflake"] },
+  { image: "11-C.jpeg", names: ["spinning fan","fan blades","fan blade pattern","curved fan lines","breezy fan","fan rotation","sweeping fan blades","cool fan pattern"] },
+  { image: "2-M.jpeg",  names: ["giant clock gear","clock gear","gear teeth","clock gear teeth","sharp gear teeth","mechanical gear","ticking gear","clock mechanism"] },
+  { image: "2-P.jpeg",  names: ["butterfly catcher","butterfly net","wide crossing loops","airy loop net","open space loops","wide loop net","net for butterflies","bouncing ball loops"] },
+  { image: "15-F.jpeg", names: ["spinning sawblade","sawblade gear","futuristic gear","zigzag spinning","sawblade pattern","fast spinning blade","zigzag gear","rotating sawblade"] },
+  { image: "13-R.jpeg", names: ["happy dancing loops","dancer loops","loose playful loops","messy fun loops","dancer spinning","playful messy pattern","dancer stage loops","loose loops"] },
+  { image: "1-H.jpeg",  names: ["lucky pinecone","pinecone shield","pinecone scales","overlapping scales","spinning shield scales","pinecone pattern","scale pattern","pinecone"] },
+  { image: "1-I.jpeg",  names: ["tunnel of light","light tunnel","thread tunnel","woven light tunnel","woven thread circle","thread path circle","intricate thread ring","light path tunnel"] },
+  { image: "7-A.jpeg",  names: ["fluffy dandelion","dandelion fluff","fuzzy dandelion","soft fluffy pattern","lines reaching out fluffy","dandelion wind","soft fluffy star","fluffy reaching lines"] },
+  { image: "7-H.jpeg",  names: ["christmas wreath","cozy wreath","thick wreath","heavy round wreath","overlapping circles wreath","wreath pattern","front door wreath","overlapping circle ring","round wreath"] },
+];
+
+function findImageByPatternName(queryText) {
+  const q = queryText.toLowerCase();
+  for (const entry of PATTERN_NAME_MAP) {
+    const sorted = [...entry.names].sort((a, b) => b.length - a.length);
+    if (sorted.some(name => q.includes(name))) return entry.image;
+  }
+  return null;
+}
+
+// =============================================================================
+// EXACT PATTERN LOOKUP TABLE — hardcoded from spingenius.json
+// This is the single source of truth for board+stick → image mapping.
+// =============================================================================
+const PATTERN_LOOKUP = {
+  "3-D|3-3":   { patternImage: "3-D.jpeg",    patternName: "Petal Loop Donut",       funName: "The Petal Loop Donut 🍩" },
+  "12-J|5-5":  { patternImage: "12-J.jpeg",   patternName: "Jagged Grid Ring",        funName: "The Jagged Grid Ring 🌿" },
+  "6-N|5-6":   { patternImage: "6-N.jpeg",    patternName: "Swirling Feather Ring",   funName: "The Swirling Feather Ring 🪶" },
+  "7-J|1-1":   { patternImage: "7-J.jpeg",    patternName: "Round Petal Flower",      funName: "The Round Petal Flower 🌸" },
+  "3-R|4-2":   { patternImage: "3-R.jpeg",    patternName: "Woven Scallop Ring",      funName: "The Woven Scallop Ring 🍩" },
+  "10-A|4-4":  { patternImage: "10-A.jpeg",   patternName: "Crossing Arc Ring",       funName: "The Crossing Arc Ring 🌟" },
+  "9-M|2-7":   { patternImage: "9-M.jpeg",    patternName: "Arc Donut",               funName: "The Thick Arc Donut 🍩" },
+  "2-P|6-6":   { patternImage: "2-P.jpeg",    patternName: "Magic Grid Globe",        funName: "The Magic Grid Globe 🌐" },
+  "4-P|4-5":   { patternImage: "4-P.jpeg",    patternName: "Shark Fin Star",          funName: "The Spinning Shark Fin Star 🦈" },
+  "4-N|5-5":   { patternImage: "4-N.jpeg",    patternName: "Spinning Fan Crown",      funName: "The Spinning Fan Crown 🌀" },
+  "1-P|4-4":   { patternImage: "1-P.jpeg",    patternName: "Bold Rose Flower",        funName: "The Big Bold Rose 🌹" },
+  "15-A|4-6":  { patternImage: "15-A.jpeg",   patternName: "Scribble Tire",           funName: "The Scribble Tire 🛞" },
+  "2-J|6-6":   { patternImage: "2-J.jpeg",    patternName: "Diamond Lace Ring",       funName: "The Diamond Lace Ring 💎" },
+  "16-L|4-6":  { patternImage: "16-L.jpeg",   patternName: "Swooping Snowflake",      funName: "The Swooping Snowflake ❄️" },
+  "9-B|4-2":   { patternImage: "9-B-1.jpeg",  patternName: "Loopy Asterisk Star",     funName: "The Loopy Asterisk Star ⭐" },
+  "2-F|3-3":   { patternImage: "2-F.jpeg",    patternName: "Soap Bubble Garland",     funName: "The Soap Bubble Garland 🫧" },
+  "2-C|2-2":   { patternImage: "2-C.jpeg",    patternName: "Flower in a Globe",       funName: "The Secret Flower Globe 🔮" },
+  "4-C|2-2":   { patternImage: "4-C.jpeg",    patternName: "Scribble Donut",          funName: "The Little Scribble Donut 🍩" },
+  "5-L|6-5":   { patternImage: "5-L.jpeg",    patternName: "Feather Wreath",          funName: "The Blue Feather Wreath 🪶" },
+  "6-Q|5-4":   { patternImage: "6-Q.jpeg",    patternName: "Heart Tip Starburst",     funName: "The Heart Tip Star 💝" },
+  "11-C|5-1":  { patternImage: "11-C.jpeg",   patternName: "Spinning Fan Blades",     funName: "The Spinning Fan 🌀" },
+  "16-O|6-3":  { patternImage: "16-O.jpeg",   patternName: "Grid with Curly Edge",    funName: "The Curly Grid Ring 🌊" },
+  "7-B|7-4":   { patternImage: "7-B.jpeg",    patternName: "Petal Star",              funName: "The Bold Petal Star 🌟" },
+  "14-H|4-3":  { patternImage: "14-H.jpeg",   patternName: "Dandelion Petal Ring",    funName: "The Dandelion Wish Ring 🌼" },
+  "15-F|5-3":  { patternImage: "15-F.jpeg",   patternName: "Zigzag Gear",             funName: "The Zigzag Gear ⚙️" },
+  "1-H|3-5":   { patternImage: "1-H.jpeg",    patternName: "Pinecone Scale Ring",     funName: "The Lucky Pinecone Ring 🌲" },
+  "11-A|6-6":  { patternImage: "11-A.jpeg",   patternName: "Thread Ring",             funName: "The Golden Thread Ring ✨" },
+  "9-O|5-5":   { patternImage: "9-O.jpeg",    patternName: "Delicate Loop Ring",      funName: "The Delicate Loop Ring 🐦" },
+  "11-J|4-4":  { patternImage: "11-J.jpeg",   patternName: "Scalloped Woven Disc",    funName: "The Scalloped Wonder Disc 🌀" },
+  "14-I|4-4":  { patternImage: "14-I.jpeg",   patternName: "Grand Rose",              funName: "The Grand Rose 🌹" },
+  "7-C|2-2":   { patternImage: "7-C.jpeg",    patternName: "Eight Round Petals",      funName: "The Eight Petal Stamp 🌼" },
+  "8-A|3-2":   { patternImage: "8-A.jpeg",    patternName: "Wispy Asterisk",          funName: "The Wispy Magic Star ✨" },
+  "12-C|3-1":  { patternImage: "12-C.jpeg",   patternName: "Exploding Sun",           funName: "The Exploding Sun ☀️" },
+  "7-H|3-3":   { patternImage: "7-H.jpeg",    patternName: "Circle Wreath",           funName: "The Cozy Circle Wreath 🎄" },
+  "3-L|1-5":   { patternImage: "3-L.jpeg",    patternName: "Bold Swirling Petals",    funName: "The Bold Swirling Petals 🌸" },
+  "2-M|1-5":   { patternImage: "2-M.jpeg",    patternName: "Spinning Pinwheel",       funName: "The Spinning Pinwheel 🌸" },
+  "1-E|4-4":   { patternImage: "1-E.jpeg",    patternName: "Oval Bubble Ring",        funName: "The Oval Bubble Ring 🫧" },
+  "13-R|4-2":  { patternImage: "13-R.jpeg",   patternName: "Floppy Oval Ring",        funName: "The Floppy Oval Ring 🫧" },
+  "3-C|3-3":   { patternImage: "3-C.jpeg",    patternName: "Overlapping Circles Flower", funName: "The Circle Puzzle Flower 🌸" },
+  "1-I|4-3":   { patternImage: "1-I.jpeg",    patternName: "Feather Grid Ring",       funName: "The Feather Grid Ring 🌿" },
+  "7-A|1-2":   { patternImage: "7-A.jpeg",    patternName: "Spiky Sea Urchin",        funName: "The Spiky Sea Urchin 🦔" },
+  "11-L|1-1":  { patternImage: "11-L.jpeg",   patternName: "Thin Circle Ring",        funName: "The Thin Magic Ring 💍" },
+  "10-R|1-1":  { patternImage: "10-R.jpeg",   patternName: "Simple Polygon Star",     funName: "The Simple Magic Window ⭐" },
+  "10-Q|1-1":  { patternImage: "10-Q-1.jpeg", patternName: "Triangle Star",           funName: "The Triangle Magic Star 🔯" },
+  "6-L|1-1":   { patternImage: "6-L.jpeg",    patternName: "Dense Tangle Star",       funName: "The Dense Tangle Star ⭐" },
+  "10-Q|1-2":  { patternImage: "10-Q-2.jpeg", patternName: "Spiky Chaos Star",        funName: "The Spiky Chaos Star 💥" },
+  "9-B|2-1":   { patternImage: "9-B-2.jpeg",  patternName: "Compact Loopy Star",      funName: "The Compact Loopy Star 🌟" },
+  "4-H|3-6":   { patternImage: "4-H.jpeg",    patternName: "Tiny Loop Lace Ring",     funName: "The Lacy Loop Ring 🍩" },
+  "G-6|1-2":   { patternImage: "G-6.jpeg",    patternName: "Tiny Sun Badge",          funName: "The Tiny Sun Badge 🪙" },
+  "15-Q|2-1":  { patternImage: "15-Q.jpeg",   patternName: "Criss-Cross Loop Ring",   funName: "The Criss-Cross Magic Ring 💫" },
+};
+
+function lookupByBoard(board) {
+  const upper = board.toUpperCase();
+  const matches = Object.entries(PATTERN_LOOKUP).filter(([k]) => k.startsWith(upper + "|"));
+  return matches.length === 1 ? matches[0][1] : null;
+}
+
+function lookupExact(board, stick) {
+  const key = `${board.toUpperCase()}|${stick}`;
+  return PATTERN_LOOKUP[key] || null;
+}
+
+/**
+ * Every board+stick configuration with its names, for ingestion.
+ * shapeNames — the search phrases PATTERN_NAME_MAP lists for the same image.
+ */
+function listPatterns() {
+  return Object.entries(PATTERN_LOOKUP).map(([key, entry]) => {
+    const [boardPosition, stickPosition] = key.split("|");
+    const names = PATTERN_NAME_MAP.find((m) => m.image === entry.patternImage)?.names || [];
+    return { boardPosition, stickPosition, ...entry, shapeNames: names };
+  });
+}
+
+module.exports = { PATTERN_NAME_MAP, PATTERN_LOOKUP, findImageByPatternName, lookupByBoard, lookupExact, listPatterns };
@@ -0,0 +1,302 @@
+// =============================================================================
+// Support tickets — collect the details in conversation, then file a ticket
+//
+// When support escalation triggers (lib/knowledge supportConfig.show_when, or a
+// troubleshooting tree that ran out) in a session, api/chat.js keeps a draft in
+// session.context.ticket and asks for one field per turn:
+//   orderId → component → photo → parentContact
+// A field already known (the detected component, a photo sent with the
+// problem) is not asked again; "skip" leaves it empty, "cancel" drops the draft.
+// A question that does not answer the field puts the draft on hold (paused)
+// and is answered as usual; "continue" picks the draft up again.
+// The finished ticket carries the detected project/component and the session
+// transcript, and its reference ("BC-20261019-7K2QX9MD") is shown to the child.
+//
+// The photo and the parent's contact never sit in session.context (sessions are
+// saved on every turn and listed by api/sessions): sealTicketDraft() moves them
+// into the stash and leaves { stashed: ref } in the draft, and unsealTicketDraft()
+// reads them back when the ticket is filed. They are deleted only once the sink
+// has the ticket (or the draft is cancelled): a failed create puts the draft on
+// hold, and "continue" tries again. The stash is one file per value in
+// TICKET_DIR/pending, gone after SESSION_TTL_MS (default 24 h) like the session
+// that points at it. Like the session stores it is per instance — install a
+// shared one with setTicketStash() where sessions are shared.
+//
+// Sink interface (async, like the session stores):
+//   create(ticket) → { reference }
+//
+// Implementations: file (one JSON file per ticket in TICKET_DIR, default
+// /tmp/becre8v-tickets) and webhook (POST to TICKET_WEBHOOK_URL, optional
+// bearer TICKET_WEBHOOK_TOKEN). Select with TICKET_SINK (default "file").
+// =============================================================================
+const crypto = require("crypto");
+const fs     = require("fs/promises");
+const path   = require("path");
+const { t } = require("./i18n");
+const { matchComponent } = require("./matching");
+
+const TICKET_FIELDS  = ["orderId", "component", "photo", "parentContact"];
+const PRIVATE_FIELDS = ["photo", "parentContact"];
+
+const SKIP_RE   = /^(?:skip|no|nope|none|don'?t know|i don'?t know|dont know|idk|not sure|nahi(?: pata)?|pata nahi|malum nahi|छोड़ो|पता नहीं|नहीं)$/i;
+const CANCEL_RE = /^(?:cancel|stop|never ?mind|forget it|rehne do|band karo|रहने दो|बंद करो)$/i;
+const RESUME_RE = /^(?:continue|resume|go on|(?:continue|finish|back to) (?:the |my )?(?:ticket|support request|request)|jaari rakho|aage badho|जारी रखो|आगे बढ़ो)$/i;
+// Question-shaped: ends in "?" or opens with a question word
+const QUESTION_RE = /\?$|^(?:what|how|why|where|when|which|who|can|could|is|are|does|do|will|should|tell me|kya|kaise|kyun|kyon|kab|kahan|kaun|क्या|कैसे|क्यों|कब|कहाँ|कौन)\b/i;
+const EMAIL_RE  = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE_RE  = /\+?\d[\d\s-]{8,14}\d/;
+
+// Crockford base32: no I, L, O or U, so a reference read out over the phone
+// cannot be misheard.
+const REFERENCE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const REFERENCE_LENGTH   = 8;   // 32^8 ≈ 10^12 per day
+
+/** BC-<date>-<8 base32 chars>, e.g. BC-20261019-7K2QX9MD. */
+function ticketReference(now = new Date()) {
+  const day = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const id  = [...crypto.randomBytes(REFERENCE_LENGTH)].map((b) => REFERENCE_ALPHABET[b % 32]).join("");
+  return `BC-${day}-${id}`;
+}
+
+/**
+ * New draft. Known values (detected component, a photo sent with the problem)
+ * are filled in so they are not asked for.
+ */
+function newTicketDraft({ reason, project = null, component = null, photo = null }) {
+  return { reason, project, component: component || undefined, orderId: undefined, photo: photo || undefined, parentContact: undefined, retries: 0 };
+}
+
+/** The first field still to ask for (undefined = not asked yet), or null when the draft is complete. */
+function nextTicketField(draft) {
+  return TICKET_FIELDS.find((f) => draft[f] === undefined) || null;
+}
+
+/**
+ * Apply the child's reply to the field being asked.
+ * Returns { draft, status }: "ok" (field filled or skipped), "retry" (reply
+ * did not fit; ask again), "cancel", "paused" (a question instead of an
+ * answer — the draft now waits), "waiting" (still paused; the reply is not for
+ * the ticket) or "resume" (paused draft picked up again; ask the field).
+ */
+function applyTicketAnswer(draft, { text, attachment, componentsMap }) {
+  const field = nextTicketField(draft);
+  const reply = String(text || "").trim();
+  const bare  = reply.toLowerCase().replace(/[.!]+$/, "");
+  if (CANCEL_RE.test(bare)) return { draft, status: "cancel" };
+  if (draft.paused) return RESUME_RE.test(bare) ? { draft: { ...draft, paused: false }, status: "resume" } : { draft, status: "waiting" };
+
+  const part = field === "component" ? matchComponent(reply, componentsMap) : null;
+  let value;
+  if (field === "photo" && attachment) value = attachment;
+  else if (SKIP_RE.test(bare))         value = null;
+  else if (field === "orderId")        value = /\d/.test(reply) && reply.length <= 40 ? reply.replace(/^(?:order(?:\s+id)?|id)\s*[:#-]?\s*/i, "") : undefined;
+  else if (field === "component")      value = part?.accepted ? part.id : reply || undefined;
+  else if (field === "parentContact")  value = reply.match(EMAIL_RE)?.[0] || reply.match(PHONE_RE)?.[0]?.replace(/[\s-]/g, "");
+
+  if (value === undefined && QUESTION_RE.test(reply)) return { draft: { ...draft, paused: true, retries: 0 }, status: "paused" };
+  // Asked twice and still no fit: keep what was typed rather than loop forever
+  if (value === undefined && draft.retries >= 1 && field !== "photo") value = reply || null;
+  if (value === undefined) return { draft: { ...draft, retries: draft.retries + 1 }, status: "retry" };
+  return { draft: { ...draft, [field]: value, retries: 0 }, status: "ok" };
+}
+
+/** The question for field, with the retry nudge when the last reply did not fit. */
+function formatTicketQuestion(field, locale, { intro = false, retry = false } = {}) {
+  const lines = [];
+  if (intro) lines.push(t(locale, "ticketIntro"), "");
+  if (retry) lines.push(t(locale, "ticketRetry"));
+  lines.push(t(locale, `ticketAsk${field[0].toUpperCase()}${field.slice(1)}`), t(locale, "ticketSkipHint"));
+  return lines.join("\n");
+}
+
+/**
+ * Draft safe to keep in session.context: private field values are stashed and
+ * replaced by { stashed: ref }.
+ */
+async function sealTicketDraft(draft, stash = getTicketStash()) {
+  const sealed = { ...draft };
+  for (const f of PRIVATE_FIELDS) {
+    if (typeof sealed[f] === "string" && sealed[f]) sealed[f] = { stashed: await stash.put(sealed[f]) };
+  }
+  return sealed;
+}
+
+/** The draft with its stashed values back in place (the stash keeps them). */
+async function unsealTicketDraft(draft, stash = getTicketStash()) {
+  const open = { ...draft };
+  for (const f of PRIVATE_FIELDS) {
+    if (open[f]?.stashed) open[f] = await stash.get(open[f].stashed);
+  }
+  return open;
+}
+
+/** Drop a filed or cancelled draft's stashed values. */
+async function discardTicketDraft(draft, stash = getTicketStash()) {
+  for (const f of PRIVATE_FIELDS) {
+    if (draft[f]?.stashed) await stash.delete(draft[f].stashed);
+  }
+}
+
+/** What a session summary may show of an open draft. */
+function summarizeTicketDraft(draft) {
+  return draft ? { reason: draft.reason, project: draft.project || null, component: draft.component || null, next: nextTicketField(draft) } : null;
+}
+
+/**
+ * The record handed to the sink.
+ * transcript — [{ role, content, at }] (session turns).
+ */
+function buildTicket(draft, { sessionId = null, product, locale, transcript = [], componentsMap = {} }) {
+  return {
+    reference:     ticketReference(),
+    createdAt:     new Date().toISOString(),
+    product,
+    reason:        draft.reason,
+    project:       draft.project || null,
+    component:     draft.component || null,
+    componentName: componentsMap[draft.component]?.name || null,
+    orderId:       draft.orderId || null,
+    photo:         draft.photo || null,
+    parentContact: draft.parentContact || null,
+    locale,
+    sessionId,
+    transcript:    transcript.map(({ role, content, at, attachment }) => ({ role, content, at, ...(attachment ? { attachment } : {}) })),
+  };
+}
+
+// =============================================================================
+// Sinks
+// =============================================================================
+// A reference that is already taken gets a new one ("wx" never overwrites).
+function createFileTicketSink({ dir = process.env.TICKET_DIR || "/tmp/becre8v-tickets", attempts = 5 } = {}) {
+  return {
+    kind: "file",
+    async create(ticket) {
+      await fs.mkdir(dir, { recursive: true });
+      for (let i = 0; ; i++) {
+        const reference = i ? ticketReference() : ticket.reference;
+        try {
+          await fs.writeFile(path.join(dir, `${reference}.json`), JSON.stringify({ ...ticket, reference }, null, 2), { flag: "wx" });
+          return { reference };
+        } catch (err) {
+          if (err.code !== "EEXIST" || i + 1 >= attempts) throw err;
+        }
+      }
+    },
+  };
+}
+
+// Stand-in for a helpdesk API: the ticket is POSTed as JSON; a { reference }
+// in the response replaces ours (the helpdesk's own ticket number).
+function createWebhookTicketSink({ url = process.env.TICKET_WEBHOOK_URL, token = process.env.TICKET_WEBHOOK_TOKEN } = {}) {
+  if (!url) throw new Error("TICKET_WEBHOOK_URL is not set.");
+  return {
+    kind: "webhook",
+    async create(ticket) {
+      const r = await fetch(url, {
+        method:  "POST",
+        headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body:    JSON.stringify(ticket),
+      });
+      if (!r.ok) throw new Error(`Ticket webhook failed. status=${r.status}`);
+      let body = null;
+      try { body = await r.json(); } catch (_) {}
+      return { reference: body?.reference || ticket.reference };
+    },
+  };
+}
+
+const DEFAULT_STASH_TTL_MS = 24 * 60 * 60 * 1000;
+
+function stashTtlMs() {
+  const n = Number(process.env.SESSION_TTL_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_STASH_TTL_MS;
+}
+
+// Values waiting for their ticket: put(value) → ref, get(ref) → value | null,
+// delete(ref). A file older than ttlMs counts as gone; put() sweeps those.
+function createFileTicketStash({ dir = path.join(process.env.TICKET_DIR || "/tmp/becre8v-tickets", "pending"), ttlMs = stashTtlMs() } = {}) {
+  const fileFor = (ref) => {
+    if (!/^[a-f0-9]{32}$/.test(ref)) throw new Error("Invalid stash reference.");
+    return path.join(dir, `${ref}.json`);
+  };
+  const expired = async (file) => Date.now() - (await fs.stat(file)).mtimeMs > ttlMs;
+  const remove  = (file) => fs.unlink(file).catch((err) => { if (err.code !== "ENOENT") throw err; });
+  const sweep   = async () => {
+    for (const name of await fs.readdir(dir)) {
+      const file = path.join(dir, name);
+      try { if (await expired(file)) await remove(file); }
+      catch (err) { if (err.code !== "ENOENT") console.warn(`Ticket stash sweep skipped ${name}: ${err.message}`); }
+    }
+  };
+  return {
+    kind: "file",
+    async put(value) {
+      await fs.mkdir(dir, { recursive: true });
+      await sweep();
+      const ref = crypto.randomBytes(16).toString("hex");
+      await fs.writeFile(fileFor(ref), JSON.stringify({ value }), { flag: "wx" });
+      return ref;
+    },
+    async get(ref) {
+      const file = fileFor(ref);
+      try {
+        if (await expired(file)) { await remove(file); return null; }
+        return JSON.parse(await fs.readFile(file, "utf8")).value;
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async delete(ref) {
+      await remove(fileFor(ref));
+    },
+  };
+}
+
+let defaultStash = null;
+
+/** Process-wide stash: the file stash, unless one was installed with setTicketStash(). */
+function getTicketStash() {
+  defaultStash ||= createFileTicketStash();
+  return defaultStash;
+}
+
+/** Use stash (anything with put / get / delete) from now on. */
+function setTicketStash(stash) {
+  defaultStash = stash;
+}
+
+let defaultSink = null;
+
+/**
+ * Process-wide sink selected by TICKET_SINK ("file" | "webhook").
+ */
+function getTicketSink() {
+  if (defaultSink) return defaultSink;
+  const kind = (process.env.TICKET_SINK || "file").toLowerCase();
+  if (kind === "file")         defaultSink = createFileTicketSink();
+  else if (kind === "webhook") defaultSink = createWebhookTicketSink();
+  else throw new Error(`Unknown TICKET_SINK: "${kind}". Use "file" or "webhook".`);
+  return defaultSink;
+}
+
+module.exports = {
+  TICKET_FIELDS,
+  ticketReference,
+  newTicketDraft,
+  nextTicketField,
+  applyTicketAnswer,
+  formatTicketQuestion,
+  sealTicketDraft,
+  unsealTicketDraft,
+  discardTicketDraft,
+  summarizeTicketDraft,
+  buildTicket,
+  createFileTicketSink,
+  createWebhookTicketSink,
+  createFileTicketStash,
+  getTicketStash,
+  setTicketStash,
+  getTicketSink,
+};
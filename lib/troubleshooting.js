@@ -0,0 +1,132 @@
+// =============================================================================
+// Troubleshooting trees — yes/no walks through a problem, one node per turn
+//
+// KB trees (kb.troubleshooting, lib/kb-schema TROUBLESHOOTING_TREE):
+//   {
+//     id: "mood-lamp-no-light", title: "Mood Lamp not lighting up",
+//     project: "Mood Lamp",                    // or component: "ldr"; neither = any
+//     triggers: ["not (?:lighting|glowing)"],  // regex sources, case-insensitive
+//     start: "power",
+//     nodes: {
+//       power:   { question: "Is the Brain's power light on?", yes: "port", no: "battery" },
+//       battery: { fix: "Put in fresh batteries and switch it on.", next: "port" },
+//       port:    { question: "Is the RGB LED in Port 5?", yes: "support", no: "replug" },
+//       replug:  { fix: "Move the RGB LED to Port 5.", next: "support" },
+//     },
+//   }
+// A question branches on yes/no; a fix asks "did that fix it?" — yes is solved,
+// no goes to next. Targets "solved" and "support" end the walk; a missing
+// target means support, so the contact is only shown once the tree runs out.
+// Texts are strings or { en, hi, hinglish }.
+//
+// State is { tree, node }: session.context.troubleshoot with a session,
+// otherwise read back from the last assistant turn ("🧰 <title>" + node text).
+// =============================================================================
+const { t } = require("./i18n");
+
+const END_TARGETS = new Set(["solved", "support"]);
+
+const ANSWERS = {
+  yes: /^(?:yes|yeah|yea|yep|yup|ya|yes it is|it is|sure|ok(?:ay)?|haan?|han|ha ji|haan ji|ji|ji haan|hmm|हाँ|हां|हाँ जी|जी)(?:\s+(?:it is|it does|hai|he|है))?$/,
+  no:  /^(?:no|nope|nah|not really|it'?s not|it isn'?t|it doesn'?t|still no|still not working|nahi?n?|nai|na|nahi hai|नहीं|ना|नहीं है)(?:\s+(?:it is not|it isn'?t|hai|है))?$/,
+};
+
+/** "yes" | "no" | null for a short reply. */
+function detectAnswer(text) {
+  const s = String(text || "").toLowerCase().replace(/[^\p{L}\p{M}\p{N}'\s]+/gu, " ").replace(/\s+/g, " ").trim();
+  if (!s) return null;
+  if (ANSWERS.yes.test(s)) return "yes";
+  if (ANSWERS.no.test(s))  return "no";
+  return null;
+}
+
+function localized(value, locale) {
+  if (value && typeof value === "object") return value[locale] || value.en || Object.values(value)[0] || "";
+  return String(value || "");
+}
+
+function variants(value) {
+  return value && typeof value === "object" ? Object.values(value).map(String) : [String(value || "")];
+}
+
+// Triggers are compiled once per tree object (the KB indexes are cached).
+const triggerCache = new WeakMap();
+
+function triggersOf(tree) {
+  if (!triggerCache.has(tree)) {
+    const compiled = [];
+    for (const source of tree.triggers || []) {
+      try { compiled.push(new RegExp(source, "i")); }
+      catch (err) { console.warn(`Troubleshooting tree "${tree.id}" trigger skipped: ${err.message}`); }
+    }
+    triggerCache.set(tree, compiled);
+  }
+  return triggerCache.get(tree);
+}
+
+/**
+ * The tree for a problem report: project trees first, then component trees,
+ * then trees for any project; the first whose trigger matches text wins.
+ */
+function findTree(trees, { text, project, component }) {
+  const lower  = String(text || "").toLowerCase();
+  const fits   = (tree) => (!tree.project || tree.project === project) && (!tree.component || tree.component === component);
+  const rank   = (tree) => (tree.project ? 0 : tree.component ? 1 : 2);
+  return trees.filter(fits).sort((a, b) => rank(a) - rank(b)).find((tree) => triggersOf(tree).some((re) => re.test(lower))) || null;
+}
+
+/**
+ * Apply a yes/no answer to { tree, node }. Returns { outcome, state }:
+ * outcome "ask" (state is the next node), "solved" or "support" (state null).
+ */
+function answerTree(tree, state, answer) {
+  const node   = tree.nodes[state.node];
+  const target = node.fix ? (answer === "yes" ? "solved" : node.next) : node[answer];
+  if (!target || END_TARGETS.has(target) || !tree.nodes[target]) return { outcome: target === "solved" ? "solved" : "support", state: null };
+  return { outcome: "ask", state: { tree: tree.id, node: target } };
+}
+
+/**
+ * Reply payload for one node: { text, options, troubleshoot }.
+ */
+function treeNodeReply(tree, nodeId, locale) {
+  const node  = tree.nodes[nodeId];
+  const lines = [`🧰 ${localized(tree.title, locale)}`, ""];
+  if (node.fix) lines.push(`🔧 ${localized(node.fix, locale)}`, "", t(locale, "troubleDidItWork"));
+  else          lines.push(localized(node.question, locale));
+  lines.push("", t(locale, "troubleAnswerHint"));
+  return {
+    text:    lines.join("\n"),
+    options: [["yes", "troubleYes"], ["no", "troubleNo"]].map(([value, key]) => ({ kind: "answer", id: value, label: t(locale, key), value })),
+    troubleshoot: { tree: tree.id, node: nodeId, kind: node.fix ? "fix" : "question" },
+  };
+}
+
+/**
+ * Closing text once a walk ends. support — the KB support config (may be null).
+ */
+function formatTreeEnd(tree, outcome, support, locale) {
+  const title = localized(tree.title, locale);
+  if (outcome === "solved") return t(locale, "troubleSolved");
+  if (!support?.enabled) return t(locale, "troubleNoContact", { title });
+  const contact = [`📧 ${support.contact.email}`, `📞 ${support.contact.phone}`, support.contact.hours && `⏰ ${support.contact.hours}`].filter(Boolean);
+  return `${t(locale, "troubleEscalate", { title })}\n\n${support.message}\n\n${contact.join("\n")}`;
+}
+
+/**
+ * { tree, node } from a stateless history: the last assistant turn is a node
+ * when it opens with a tree's title and contains that node's text.
+ */
+function treeStateFromHistory(history, trees) {
+  const last = (history || [])[history.length - 1];
+  if (last?.role !== "assistant") return null;
+  const text  = String(last.content || "");
+  const title = text.match(/^🧰 (.+)$/m)?.[1]?.trim();
+  if (!title) return null;
+  const tree = trees.find((tr) => variants(tr.title).includes(title));
+  if (!tree) return null;
+  const nodeId = Object.keys(tree.nodes).find((id) => variants(tree.nodes[id].fix || tree.nodes[id].question).some((v) => v && text.includes(v)));
+  return nodeId ? { tree: tree.id, node: nodeId } : null;
+}
+
+module.exports = { detectAnswer, findTree, answerTree, treeNodeReply, formatTreeEnd, treeStateFromHistory };
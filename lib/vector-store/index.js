@@ -0,0 +1,33 @@
+// =============================================================================
+// Vector store — one interface over Pinecone and a local file
+//
+// Store interface (all async):
+//   query({ vector, namespace, topK, filter })
+//                                        → [{ id, score, metadata }]  best first
+//     filter (optional): { field: value | [values] }, every field must match
+//   upsert({ namespace, vectors })       → count   vectors: [{ id, values, metadata }]
+//   fetch({ namespace, ids })            → { id: { id, values, metadata } }
+//   listIds({ namespace })               → [id]
+//   delete({ namespace, ids })           → count
+//
+// Metadata carries text, type, projectName, boardPosition, stickPosition,
+// patternImage and patternName.
+//
+// VECTOR_STORE=pinecone | local. Unset → pinecone when PINECONE_INDEX_HOST is
+// set, otherwise local (VECTOR_STORE_PATH, default ./data/vectors.json).
+// =============================================================================
+const { createPineconeStore } = require("./pinecone");
+const { createLocalStore }    = require("./local");
+
+let defaultStore = null;
+
+function getVectorStore() {
+  if (defaultStore) return defaultStore;
+  const kind = (process.env.VECTOR_STORE || (process.env.PINECONE_INDEX_HOST ? "pinecone" : "local")).toLowerCase();
+  if (kind === "pinecone")   defaultStore = createPineconeStore();
+  else if (kind === "local") defaultStore = createLocalStore();
+  else throw new Error(`Unknown VECTOR_STORE: "${kind}". Use "pinecone" or "local".`);
+  return defaultStore;
+}
+
+module.exports = { getVectorStore, createPineconeStore, createLocalStore };
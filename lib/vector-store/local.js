@@ -0,0 +1,125 @@
+// =============================================================================
+// Local vector store — one JSON file, cosine top-k in-process
+//
+// For dev, CI and anywhere without Pinecone. The file holds every namespace:
+//   { "dimension": 1536,
+//     "namespaces": { "robocoders": [{ "id", "values", "metadata" }, …] } }
+// `values` is a base64 Float32Array, which keeps a 1536-dim vector at ~8 KB
+// instead of ~30 KB of JSON numbers. The file is re-read when its mtime
+// changes, so an ingestion run is picked up without a restart.
+// =============================================================================
+const fs   = require("fs");
+const path = require("path");
+const { matchesFilter } = require("../retrieval");
+
+function encodeVector(values) {
+  return Buffer.from(new Float32Array(values).buffer).toString("base64");
+}
+
+function decodeVector(b64) {
+  const buf = Buffer.from(b64, "base64");
+  // Copy out of Node's shared pool — Float32Array needs a 4-byte aligned offset.
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+function norm(v) {
+  let s = 0;
+  for (let i = 0; i < v.length; i++) s += v[i] * v[i];
+  return Math.sqrt(s);
+}
+
+function createLocalStore({ file = process.env.VECTOR_STORE_PATH || path.join(process.cwd(), "data", "vectors.json") } = {}) {
+  let loaded = null;   // { mtimeMs, dimension, namespaces: { ns: Map(id → { values, norm, metadata }) } }
+  let warned = false;
+
+  const load = () => {
+    let stat;
+    try { stat = fs.statSync(file); }
+    catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      if (!warned) { console.warn(`Local vector store: ${file} not found, retrieval returns nothing until it is ingested.`); warned = true; }
+      loaded = { mtimeMs: 0, dimension: null, namespaces: {} };
+      return loaded;
+    }
+    if (loaded && loaded.mtimeMs === stat.mtimeMs) return loaded;
+
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const namespaces = {};
+    for (const [ns, records] of Object.entries(raw.namespaces || {})) {
+      namespaces[ns] = new Map(records.map((r) => {
+        const values = decodeVector(r.values);
+        return [r.id, { values, norm: norm(values), metadata: r.metadata || {} }];
+      }));
+    }
+    loaded = { mtimeMs: stat.mtimeMs, dimension: raw.dimension || null, namespaces };
+    return loaded;
+  };
+
+  const save = (state) => {
+    const out = { dimension: state.dimension, namespaces: {} };
+    for (const [ns, map] of Object.entries(state.namespaces)) {
+      out.namespaces[ns] = [...map].map(([id, r]) => ({ id, values: encodeVector(r.values), metadata: r.metadata }));
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, file);
+    state.mtimeMs = fs.statSync(file).mtimeMs;
+  };
+
+  return {
+    kind: "local",
+    async query({ vector, namespace, topK = 6, filter = null }) {
+      const state   = load();
+      const records = state.namespaces[namespace];
+      if (!records || !records.size) return [];
+      if (state.dimension && vector.length !== state.dimension) {
+        throw new Error(`Local vector store: query has ${vector.length} dimensions, index has ${state.dimension}.`);
+      }
+      const qNorm = norm(vector) || 1;
+      const scored = [];
+      for (const [id, r] of records) {
+        if (!matchesFilter(r.metadata, filter)) continue;
+        let dot = 0;
+        for (let i = 0; i < vector.length; i++) dot += vector[i] * r.values[i];
+        scored.push({ id, score: dot / (qNorm * (r.norm || 1)), metadata: r.metadata });
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+    },
+    async upsert({ namespace, vectors }) {
+      const state = load();
+      for (const v of vectors) {
+        if (!state.dimension) state.dimension = v.values.length;
+        if (v.values.length !== state.dimension) {
+          throw new Error(`Local vector store: vector ${v.id} has ${v.values.length} dimensions, index has ${state.dimension}.`);
+        }
+        const values = Float32Array.from(v.values);
+        (state.namespaces[namespace] ||= new Map()).set(v.id, { values, norm: norm(values), metadata: v.metadata || {} });
+      }
+      save(state);
+      return vectors.length;
+    },
+    async fetch({ namespace, ids }) {
+      const records = load().namespaces[namespace];
+      const out = {};
+      for (const id of ids) {
+        const r = records?.get(id);
+        if (r) out[id] = { id, values: Array.from(r.values), metadata: r.metadata };
+      }
+      return out;
+    },
+    async listIds({ namespace }) {
+      return [...(load().namespaces[namespace]?.keys() || [])];
+    },
+    async delete({ namespace, ids }) {
+      const state   = load();
+      const records = state.namespaces[namespace];
+      let removed = 0;
+      for (const id of ids) if (records?.delete(id)) removed++;
+      if (removed) save(state);
+      return removed;
+    },
+  };
+}
+
+module.exports = { createLocalStore };
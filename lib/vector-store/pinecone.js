@@ -0,0 +1,62 @@
+// =============================================================================
+// Pinecone vector store — REST data-plane API of one index
+// Needs PINECONE_INDEX_HOST and PINECONE_API_KEY.
+// =============================================================================
+
+// { field: value | [values] } → Pinecone's { field: { $eq } | { $in } } (fields are ANDed).
+function toPineconeFilter(filter) {
+  if (!filter || !Object.keys(filter).length) return undefined;
+  const out = {};
+  for (const [field, want] of Object.entries(filter)) out[field] = Array.isArray(want) ? { $in: want } : { $eq: want };
+  return out;
+}
+
+function createPineconeStore({ host = process.env.PINECONE_INDEX_HOST, apiKey = process.env.PINECONE_API_KEY } = {}) {
+  const call = async (method, pathAndQuery, body) => {
+    if (!host || !apiKey) throw new Error("PINECONE_INDEX_HOST or PINECONE_API_KEY not set in env.");
+    const r = await fetch(`${host}${pathAndQuery}`, {
+      method,
+      headers: { "Api-Key": apiKey, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!r.ok) { const t = await r.text().catch(() => ""); throw new Error(`Pinecone ${pathAndQuery.split("?")[0]} error: ` + t.slice(0, 800)); }
+    return r.json();
+  };
+
+  return {
+    kind: "pinecone",
+    async query({ vector, namespace, topK = 6, filter = null }) {
+      const data = await call("POST", "/query", { vector, topK, includeMetadata: true, namespace, filter: toPineconeFilter(filter) });
+      return (data.matches || []).map((m) => ({ id: m.id, score: m.score, metadata: m.metadata || {} }));
+    },
+    async upsert({ namespace, vectors }) {
+      const data = await call("POST", "/vectors/upsert", { vectors, namespace });
+      return data.upsertedCount ?? vectors.length;
+    },
+    async fetch({ namespace, ids }) {
+      if (!ids.length) return {};
+      const qs   = ids.map((id) => `ids=${encodeURIComponent(id)}`).join("&");
+      const data = await call("GET", `/vectors/fetch?${qs}&namespace=${encodeURIComponent(namespace)}`);
+      return data.vectors || {};
+    },
+    // Serverless indexes only — pod-based indexes reject /vectors/list.
+    async listIds({ namespace }) {
+      const ids = [];
+      let token = null;
+      do {
+        const qs   = `namespace=${encodeURIComponent(namespace)}&limit=100${token ? `&paginationToken=${encodeURIComponent(token)}` : ""}`;
+        const data = await call("GET", `/vectors/list?${qs}`);
+        ids.push(...(data.vectors || []).map((v) => v.id));
+        token = data.pagination?.next || null;
+      } while (token);
+      return ids;
+    },
+    async delete({ namespace, ids }) {
+      if (!ids.length) return 0;
+      await call("POST", "/vectors/delete", { ids, namespace });
+      return ids.length;
+    },
+  };
+}
+
+module.exports = { createPineconeStore };
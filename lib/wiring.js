@@ -0,0 +1,104 @@
+// =============================================================================
+// Wiring checker — the kid's stated connections vs the fixed port mappings
+//
+// "LDR in port 2, LED in port 5 for Light Intensity Meter" is split into
+// claims ({ label, component, port }) and each is compared with
+// indexes.portMappings[project] (lib/knowledge extractPortMappings):
+//   ok          — right part, right port
+//   wrong_port  — the project uses this part, on another port
+//   not_used    — a kit part this project does not use
+// plus the mapped parts the kid did not mention (missing) and ports given to
+// two different parts (shared). No LLM involved: the answer is the KB's table.
+// =============================================================================
+const { createNameMatcher, builtinAliases } = require("./matching");
+const { normalizePort } = require("./knowledge");
+const { t } = require("./i18n");
+
+const SEGMENT_SPLIT = /\s*(?:[,;\n&]|\band\b|\baur\b|\bthen\b|और)\s*/i;
+const PORT_PATTERN  = /(?:\bport|\bp|पोर्ट)\s*[-#:.]?\s*(?:no\.?\s*|number\s*)?([a-z]?\d+)\b|(?:->|→|=>)\s*([a-z]?\d+)\b|\b(\d+)\s*(?:number|no\.?|नंबर)\s*(?:port|पोर्ट)/i;
+
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matcher over the project's mapped parts and every other kit component.
+function partsMatcher(rows, componentsMap) {
+  const entries = rows.map((row, i) => {
+    const c = row.component ? componentsMap[row.component] : null;
+    return { key: `row:${i}`, names: [row.label, c?.name, ...(c?.aliases || []), ...builtinAliases(row.label)] };
+  });
+  const mapped = new Set(rows.map((r) => r.component).filter(Boolean));
+  for (const [id, c] of Object.entries(componentsMap)) {
+    if (c?.name && !mapped.has(id)) entries.push({ key: `component:${id}`, names: [c.name, ...(c.aliases || []), ...builtinAliases(c.name)] });
+  }
+  return createNameMatcher(entries);
+}
+
+/**
+ * Connections stated in text, one per "part … port" segment.
+ * Returns [{ label, component, row, port }]; row is the index into rows, or
+ * null for a kit part the project does not map.
+ */
+function parseWiringClaims(text, { rows, componentsMap, projectTerms = [] }) {
+  let s = String(text || "");
+  for (const term of projectTerms.filter(Boolean)) s = s.replace(new RegExp(escapeRe(term), "gi"), " ");
+
+  const matcher = partsMatcher(rows, componentsMap);
+  const claims  = [];
+  for (const segment of s.split(SEGMENT_SPLIT)) {
+    const portHit = segment.match(PORT_PATTERN);
+    if (!portHit) continue;
+    // Exact hits tie at 1.0 — the longest name wins ("RGB LED" over "LED").
+    const best = matcher.rank(segment.replace(portHit[0], " "))
+      .filter((m) => m.accepted)
+      .sort((a, b) => b.confidence - a.confidence || b.term.length - a.term.length)[0];
+    if (!best) continue;
+    const port = normalizePort(portHit[1] || portHit[2] || portHit[3]);
+    if (best.key.startsWith("row:")) {
+      const row = Number(best.key.slice(4));
+      claims.push({ label: rows[row].label, component: rows[row].component, row, port });
+    } else {
+      const id = best.key.slice("component:".length);
+      claims.push({ label: componentsMap[id].name, component: id, row: null, port });
+    }
+  }
+  return claims;
+}
+
+/**
+ * Verdict for each claim against the project's rows.
+ * Returns { results: [{ label, component, port, expected, status }],
+ * missing: [row], shared: [{ port, labels }], correct }.
+ */
+function checkWiring(claims, rows) {
+  const results = claims.map((c) => {
+    const expected = c.row == null ? null : rows[c.row].port;
+    const status   = c.row == null ? "not_used" : c.port === expected ? "ok" : "wrong_port";
+    return { label: c.label, component: c.component, port: c.port, expected, status };
+  });
+  const claimedRows = new Set(claims.map((c) => c.row));
+  const missing     = rows.filter((_, i) => !claimedRows.has(i));
+
+  const byPort = new Map();
+  for (const r of results) byPort.set(r.port, [...new Set([...(byPort.get(r.port) || []), r.label])]);
+  const shared = [...byPort].filter(([, labels]) => labels.length > 1).map(([port, labels]) => ({ port, labels }));
+
+  const correct = results.every((r) => r.status === "ok") && !missing.length && !shared.length;
+  return { results, missing, shared, correct };
+}
+
+/**
+ * Kid-facing reply for a check: one line per connection, then reminders.
+ */
+function formatWiringCheck(project, { results, missing, shared, correct }, locale) {
+  const lines = [t(locale, "wiringHeader", { project }), ""];
+  for (const r of results) {
+    if (r.status === "ok")         lines.push(t(locale, "wiringOk", { part: r.label, port: r.port }));
+    if (r.status === "wrong_port") lines.push(t(locale, "wiringWrong", { part: r.label, said: r.port, port: r.expected }));
+    if (r.status === "not_used")   lines.push(t(locale, "wiringNotUsed", { part: r.label, project }));
+  }
+  for (const s of shared)  lines.push(t(locale, "wiringShared", { parts: s.labels.join(" + "), port: s.port }));
+  for (const m of missing) lines.push(t(locale, "wiringMissing", { part: m.label, port: m.port }));
+  lines.push("", t(locale, correct ? "wiringAllGood" : "wiringFix"));
+  return lines.join("\n");
+}
+
+module.exports = { parseWiringClaims, checkWiring, formatWiringCheck };
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// =============================================================================
+// Rebuild the vector store from the Robocoders KB and the Spin Genius patterns
+//
+// Usage:
+//   node scripts/ingest.js [kb-file-or-url] [options]   (KB defaults to $KNOWLEDGE_URL)
+//     --namespace robocoders|spingenius   only one namespace (default: both)
+//     --dry-run                           print the diff, embed/upsert nothing
+//     --prune                             delete ids the KB no longer produces
+//     --json                              machine-readable diff
+//
+// The target store follows VECTOR_STORE / PINECONE_* / VECTOR_STORE_PATH and
+// embeddings use the "embed" LLM chain, exactly like api/chat.js.
+// Exit codes: 0 = ok, 1 = ingestion failed, 2 = could not read/parse the KB.
+// =============================================================================
+const fs = require("fs");
+const { getVectorStore } = require("../lib/vector-store");
+const { validateKnowledgeBase } = require("../lib/kb-schema");
+const { buildRobocodersChunks, buildSpinGeniusChunks, ingestChunks } = require("../lib/ingest");
+
+const NAMESPACES = ["robocoders", "spingenius"];
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const r = await fetch(source, { cache: "no-store" });
+    if (!r.ok) throw new Error(`Failed to fetch ${source}. status=${r.status}`);
+    return r.text();
+  }
+  return fs.readFileSync(source, "utf8");
+}
+
+function parseArgs(argv) {
+  const opts = { source: null, namespaces: NAMESPACES, dryRun: false, prune: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run")        opts.dryRun = true;
+    else if (a === "--prune")     opts.prune = true;
+    else if (a === "--json")      opts.json = true;
+    else if (a === "--namespace") opts.namespaces = [argv[++i]];
+    else if (!a.startsWith("--")) opts.source = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (opts.namespaces.some((ns) => !NAMESPACES.includes(ns))) throw new Error(`--namespace must be ${NAMESPACES.join(" or ")}`);
+  return opts;
+}
+
+function printDiff(namespace, { diff, upserted, deleted }, opts) {
+  const list = (sign, items) => items.forEach((x) => console.log(`  ${sign} ${typeof x === "string" ? x : x.id}`));
+  console.log(`\n[${namespace}] +${diff.added.length} added, ~${diff.changed.length} changed, =${diff.unchanged.length} unchanged, ` +
+    (diff.stale ? `-${diff.stale.length} stale` : "stale unknown"));
+  list("+", diff.added);
+  list("~", diff.changed);
+  if (diff.stale) list(opts.prune ? "-" : "?", diff.stale);
+  else console.log(`  (could not list existing ids: ${diff.staleError})`);
+  if (opts.dryRun) console.log("  dry run — nothing written");
+  else console.log(`  upserted ${upserted}, deleted ${deleted}${diff.stale?.length && !opts.prune ? " (re-run with --prune to delete stale ids)" : ""}`);
+}
+
+async function main() {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (err) { console.error(err.message); return 2; }
+
+  let kb = null;
+  if (opts.namespaces.includes("robocoders")) {
+    const source = opts.source || process.env.KNOWLEDGE_URL;
+    if (!source) {
+      console.error("Usage: node scripts/ingest.js <kb-file-or-url> [--namespace ns] [--dry-run] [--prune] [--json]  (or set KNOWLEDGE_URL)");
+      return 2;
+    }
+    try { kb = JSON.parse(await readSource(source)); }
+    catch (err) { console.error(`Could not load ${source}: ${err.message}`); return 2; }
+    const { errors } = validateKnowledgeBase(kb);
+    if (errors.length) console.warn(`⚠️  KB has ${errors.length} schema violation(s) — run scripts/lint-kb.js for details`);
+  }
+
+  const store   = getVectorStore();
+  const results = {};
+  try {
+    for (const namespace of opts.namespaces) {
+      const chunks = namespace === "robocoders" ? buildRobocodersChunks(kb) : buildSpinGeniusChunks();
+      results[namespace] = await ingestChunks(store, namespace, chunks, {
+        dryRun:     opts.dryRun,
+        prune:      opts.prune,
+        onProgress: opts.json ? null : (done, total) => console.log(`  [${namespace}] embedded ${done}/${total}`),
+      });
+      if (!opts.json) printDiff(namespace, results[namespace], opts);
+    }
+  } catch (err) {
+    console.error(`Ingestion failed: ${err.message}`);
+    return 1;
+  }
+
+  if (opts.json) {
+    const summary = {};
+    for (const [ns, { diff, upserted, deleted }] of Object.entries(results)) {
+      summary[ns] = {
+        added:     diff.added.map((c) => c.id),
+        changed:   diff.changed.map((c) => c.id),
+        unchanged: diff.unchanged.length,
+        stale:     diff.stale,
+        upserted, deleted,
+      };
+    }
+    console.log(JSON.stringify({ store: store.kind, dryRun: opts.dryRun, namespaces: summary }, null, 2));
+  }
+  return 0;
+}
+
+main().then((code) => { process.exitCode = code; });
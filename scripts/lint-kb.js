@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// =============================================================================
+// Lint the Robocoders knowledge base JSON against lib/kb-schema.js
+//
+// Usage:
+//   node scripts/lint-kb.js [file-or-url]      (defaults to $KNOWLEDGE_URL)
+//   node scripts/lint-kb.js kb.json --json     (machine-readable output)
+//
+// Exit codes: 0 = valid, 1 = schema violations, 2 = could not read/parse.
+// =============================================================================
+const fs = require("fs");
+const { validateKnowledgeBase, formatValidationErrors } = require("../lib/kb-schema");
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const r = await fetch(source, { cache: "no-store" });
+    if (!r.ok) throw new Error(`Failed to fetch ${source}. status=${r.status}`);
+    return r.text();
+  }
+  return fs.readFileSync(source, "utf8");
+}
+
+async function main() {
+  const args   = process.argv.slice(2);
+  const asJson = args.includes("--json");
+  const source = args.find((a) => !a.startsWith("--")) || process.env.KNOWLEDGE_URL;
+  if (!source) {
+    console.error("Usage: node scripts/lint-kb.js <file-or-url> [--json]  (or set KNOWLEDGE_URL)");
+    return 2;
+  }
+
+  let kb;
+  try {
+    kb = JSON.parse(await readSource(source));
+  } catch (err) {
+    console.error(`Could not load ${source}: ${err.message}`);
+    return 2;
+  }
+
+  const { valid, errors } = validateKnowledgeBase(kb);
+  if (asJson) {
+    console.log(JSON.stringify({ source, valid, errors }, null, 2));
+  } else if (valid) {
+    console.log(`✅ ${source}: knowledge base is valid`);
+  } else {
+    console.log(`❌ ${source}: ${errors.length} violation(s)\n${formatValidationErrors(errors)}`);
+  }
+  return valid ? 0 : 1;
+}
+
+main().then((code) => { process.exitCode = code; });
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// =============================================================================
+// Check the intent rules against the labelled corpus of kid questions
+//
+// Usage:
+//   node scripts/test-intents.js [corpus.json] [--kb file-or-url] [--json]
+//     corpus  defaults to scripts/intent-corpus.json
+//     --kb    use the KB's projects, components and intentRules instead of the
+//             corpus context (INTENT_RULES_PATH is honoured either way)
+//
+// Every case prints its expected intent, the actual one and the rule that fired.
+// A case may also check, when it has the field:
+//   project — the project lib/matching accepts for the text (null for none)
+//   locale  — lib/i18n detectLanguage ("en" | "hi" | "hinglish", null for no signal)
+// Exit codes: 0 = all cases pass, 1 = mismatches, 2 = could not read input.
+// =============================================================================
+const fs   = require("fs");
+const path = require("path");
+const { buildIndexes } = require("../lib/knowledge");
+const { getIntentEngine } = require("../lib/intents");
+const { matchProject, matchComponent } = require("../lib/matching");
+const { detectLanguage } = require("../lib/i18n");
+
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const r = await fetch(source, { cache: "no-store" });
+    if (!r.ok) throw new Error(`Failed to fetch ${source}. status=${r.status}`);
+    return r.text();
+  }
+  return fs.readFileSync(source, "utf8");
+}
+
+function parseArgs(argv) {
+  const opts = { corpus: path.join(__dirname, "intent-corpus.json"), kb: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json")           opts.json = true;
+    else if (a === "--kb")        opts.kb = argv[++i];
+    else if (!a.startsWith("--")) opts.corpus = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+async function loadContext(opts, corpus) {
+  if (opts.kb) {
+    const { projectNames, projectAliases, componentsMap, intentRules } = buildIndexes(JSON.parse(await readSource(opts.kb)));
+    return { projectNames, projectAliases, componentsMap, intentRules };
+  }
+  const c = corpus.context || {};
+  return { projectNames: c.projectNames || [], projectAliases: c.projectAliases || {}, componentsMap: c.components || {}, intentRules: c.intentRules || [] };
+}
+
+async function main() {
+  let opts, corpus, ctx;
+  try {
+    opts   = parseArgs(process.argv.slice(2));
+    corpus = JSON.parse(await readSource(opts.corpus));
+    ctx    = await loadContext(opts, corpus);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const engine = getIntentEngine(ctx.intentRules);
+  const detectors = {
+    project:   (text) => matchProject(text, ctx.projectNames, ctx.projectAliases)?.accepted || false,
+    component: (text) => matchComponent(text, ctx.componentsMap)?.accepted || false,
+  };
+  // Optional per-case checks: field → (text) → value
+  const extras = {
+    project: (text) => {
+      const m = matchProject(text, ctx.projectNames, ctx.projectAliases);
+      return m?.accepted ? m.name : null;
+    },
+    locale: (text) => detectLanguage(text),
+  };
+  const results = (corpus.cases || []).map((c) => {
+    const got      = engine.classify(c.text, { detectors });
+    const fields   = Object.keys(extras).filter((f) => f in c);
+    const describe = (intent, value) => [intent, ...fields.map((f) => `${f}=${value(f) ?? "none"}`)].join(" ");
+    const expected = describe(c.intent, (f) => c[f]);
+    const actual   = describe(got.type, (f) => extras[f](c.text));
+    return { text: c.text, expected, actual, rule: got.rule, pass: actual === expected };
+  });
+  const failed = results.filter((r) => !r.pass);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ corpus: opts.corpus, total: results.length, failed: failed.length, results }, null, 2));
+  } else {
+    const width = Math.max(...results.map((r) => r.expected.length), 7);
+    for (const r of results) {
+      const mark = r.pass ? "✅" : "❌";
+      const got  = r.pass ? "" : `  got ${r.actual}`;
+      console.log(`${mark} ${r.expected.padEnd(width)}  ${JSON.stringify(r.text)}${got}  [${r.rule || "no rule"}]`);
+    }
+    console.log(`\n${results.length - failed.length}/${results.length} passed`);
+  }
+  return failed.length ? 1 : 0;
+}
+
+main().then((code) => { process.exitCode = code; });
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// =============================================================================
+// Check the safety layers against the labelled corpus
+//
+// Usage:
+//   node scripts/test-safety.js [corpus.json] [--json]
+//     corpus  defaults to scripts/safety-corpus.json
+//
+// Sections:
+//   injection — { stage: "input" | "context", text, detected } checked with
+//               lib/injection scoreInjection against that stage's threshold
+//   moderation — { text, blocked: category | null, redacts: [type] } checked
+//               with lib/moderation moderateText; redacts is only compared
+//               when the case has it
+//   stream     — { deltas: [text], emitted } fed through createOutputGuard;
+//               emitted is everything it may pass on to the client
+//
+// Every case prints what was expected and what happened.
+// Exit codes: 0 = all cases pass, 1 = mismatches, 2 = could not read input.
+// =============================================================================
+const fs   = require("fs");
+const path = require("path");
+const { scoreInjection, INPUT_THRESHOLD, CHUNK_THRESHOLD } = require("../lib/injection");
+const { moderateText, createOutputGuard } = require("../lib/moderation");
+
+function parseArgs(argv) {
+  const opts = { corpus: path.join(__dirname, "safety-corpus.json"), json: false };
+  for (const a of argv) {
+    if (a === "--json")           opts.json = true;
+    else if (!a.startsWith("--")) opts.corpus = a;
+    else throw new Error(`Unknown option ${a}`);
+  }
+  return opts;
+}
+
+// section → (case) → { expected, actual, note }
+const CHECKS = {
+  injection(c) {
+    const { score, signals } = scoreInjection(c.text, { stage: c.stage });
+    const detected = score >= (c.stage === "context" ? CHUNK_THRESHOLD : INPUT_THRESHOLD);
+    return { expected: c.detected ? `${c.stage} detected` : `${c.stage} clean`, actual: detected ? `${c.stage} detected` : `${c.stage} clean`, note: `score ${score}${signals.length ? ` ${signals.join(",")}` : ""}` };
+  },
+  moderation(c) {
+    const m       = moderateText(c.text);
+    const outcome = (blocked, redacts) => (blocked ? `blocked ${blocked}` : `allowed${redacts ? ` [${[...redacts].sort().join(",")}]` : ""}`);
+    return { expected: outcome(c.blocked, c.redacts), actual: outcome(m.category, c.redacts && Object.keys(m.redactions)), note: m.blocked ? m.category : m.text };
+  },
+  stream(c) {
+    let emitted = "";
+    const guard = createOutputGuard((delta) => { emitted += delta; });
+    for (const delta of c.deltas) guard.push(delta);
+    guard.flush();
+    return { expected: JSON.stringify(c.emitted), actual: JSON.stringify(emitted), note: `${c.deltas.length} deltas` };
+  },
+};
+
+async function main() {
+  let opts, corpus;
+  try {
+    opts   = parseArgs(process.argv.slice(2));
+    corpus = JSON.parse(fs.readFileSync(opts.corpus, "utf8"));
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const results = [];
+  for (const [section, check] of Object.entries(CHECKS)) {
+    for (const c of corpus[section] || []) {
+      const r = await check(c);
+      results.push({ section, text: c.text ?? c.deltas.join(""), ...r, pass: r.expected === r.actual });
+    }
+  }
+  const failed = results.filter((r) => !r.pass);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ corpus: opts.corpus, total: results.length, failed: failed.length, results }, null, 2));
+  } else {
+    for (const r of results) {
+      const mark = r.pass ? "✅" : "❌";
+      const got  = r.pass ? "" : `  got ${r.actual}`;
+      console.log(`${mark} ${r.section.padEnd(10)} ${r.expected.padEnd(18)} ${JSON.stringify(r.text.slice(0, 70))}${got}  [${r.note}]`);
+    }
+    console.log(`\n${results.length - failed.length}/${results.length} passed`);
+  }
+  return failed.length ? 1 : 0;
+}
+
+main().then((code) => { process.exitCode = code; });